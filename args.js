@@ -0,0 +1,271 @@
+// DiscordBot command argument parsing
+import { DiscordBotError } from './errors.js'
+
+/**
+ * Error thrown when command arguments do not match the argument spec.
+ * @class
+ * @extends DiscordBotError
+ */
+export class ArgumentError extends DiscordBotError {
+  /**
+   * Create a new ArgumentError.
+   * @param {string} message - Error message.
+   * @param {object} [arg] - Argument spec that failed.
+   */
+  constructor(message, arg) {
+    super(message, { code: 'INVALID_ARGUMENT' })
+    this.name = 'ArgumentError'
+    this.arg = arg
+  }
+}
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+}
+
+/**
+ * Parse a single mention or raw snowflake ID.
+ * @param {string} value - Raw value.
+ * @param {RegExp} mention - Mention pattern with the ID in group 1.
+ * @returns {string|null} The ID, or null if the value is not valid.
+ */
+function parseSnowflake(value, mention) {
+  const match = value.match(mention) || value.match(/^(\d{17,20})$/)
+  return match ? match[1] : null
+}
+
+/**
+ * Parse a duration like '10m', '1h30m' or '2d' into milliseconds.
+ * @param {string} value - Raw value.
+ * @returns {number|null} Duration in milliseconds, or null if invalid.
+ */
+export function parseDuration(value) {
+  if (/^\d+$/.test(value)) return Number(value) * 1000
+  const lower = value.toLowerCase()
+  const parts = lower.match(/(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g)
+  if (!parts || parts.join('') !== lower) return null
+  return parts.reduce((total, part) => {
+    const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/)
+    return total + Number(amount) * DURATION_UNITS[unit]
+  }, 0)
+}
+
+/**
+ * Argument type converters. Each returns the converted value, or null if invalid.
+ * @type {object}
+ */
+export const argTypes = {
+  string: (value) => value,
+  number: (value) => {
+    const num = Number(value)
+    return value !== '' && Number.isFinite(num) ? num : null
+  },
+  integer: (value) => (/^-?\d+$/.test(value) ? Number(value) : null),
+  boolean: (value) => {
+    const lower = value.toLowerCase()
+    if (['true', 'yes', 'y', 'on', '1'].includes(lower)) return true
+    if (['false', 'no', 'n', 'off', '0'].includes(lower)) return false
+    return null
+  },
+  user: (value) => parseSnowflake(value, /^<@!?(\d+)>$/),
+  channel: (value) => parseSnowflake(value, /^<#(\d+)>$/),
+  role: (value) => parseSnowflake(value, /^<@&(\d+)>$/),
+  duration: parseDuration,
+}
+
+/**
+ * Internal: Split text into tokens with their positions, keeping "quoted strings" together.
+ * @param {string} text - Raw argument text.
+ * @returns {Array<{value: string, start: number, end: number}>} Tokens (`start`/`end` include the quotes).
+ * @private
+ */
+function scan(text) {
+  const tokens = []
+  const regex = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|(\S+)/g
+  let match
+  while ((match = regex.exec(text))) {
+    const quoted = match[1] ?? match[2]
+    tokens.push({
+      value: quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : match[3],
+      start: match.index,
+      end: regex.lastIndex,
+    })
+  }
+  return tokens
+}
+
+/**
+ * Split text into tokens, keeping "quoted strings" together.
+ * @param {string} text - Raw argument text.
+ * @returns {Array<string>} Tokens.
+ */
+export function tokenize(text = '') {
+  return scan(text).map((token) => token.value)
+}
+
+/**
+ * Internal: Get the raw text of consecutive tokens, as typed (quotes and spacing kept).
+ * Tokens that were not next to each other (e.g. with a named arg between them) are joined with a space.
+ * @param {string} text - Raw argument text.
+ * @param {Array<object>} tokens - Tokens from scan(), with their `index` in the token list.
+ * @returns {string} Raw text.
+ * @private
+ */
+function rawText(text, tokens) {
+  let raw = ''
+  tokens.forEach((token, i) => {
+    const prev = tokens[i - 1]
+    if (prev) {
+      raw +=
+        token.index === prev.index + 1 ? text.slice(prev.end, token.start) : ' '
+    }
+    raw += text.slice(token.start, token.end)
+  })
+  return raw
+}
+
+/**
+ * Convert and validate a raw value against an argument spec.
+ * @param {object} arg - Argument spec.
+ * @param {string} raw - Raw value.
+ * @returns {*} Converted value.
+ * @throws {ArgumentError} If the value is invalid.
+ */
+function convert(arg, raw) {
+  const { name, type = 'string' } = arg
+  const converter = typeof type === 'function' ? type : argTypes[type]
+  if (!converter) throw new Error(`Unknown argument type "${type}"`)
+  const value = converter(raw)
+  if (value === null || value === undefined) {
+    throw new ArgumentError(`Invalid ${name}: expected a ${type}.`, arg)
+  }
+  if (arg.choices && !arg.choices.includes(value)) {
+    throw new ArgumentError(
+      `Invalid ${name}: must be one of ${arg.choices.join(', ')}.`,
+      arg
+    )
+  }
+  const size = typeof value === 'string' ? value.length : value
+  if (arg.min !== undefined && size < arg.min) {
+    throw new ArgumentError(
+      `Invalid ${name}: must be at least ${arg.min}.`,
+      arg
+    )
+  }
+  if (arg.max !== undefined && size > arg.max) {
+    throw new ArgumentError(`Invalid ${name}: must be at most ${arg.max}.`, arg)
+  }
+  return value
+}
+
+/**
+ * Parse command argument text according to an argument spec.
+ * Positional args are read in order; named args are given as `--name value` or `--name=value`
+ * (boolean named args may be given as a bare `--name` flag). A `rest` arg gets the remaining text as typed.
+ * @param {Array<object>} spec - Argument specs ({ name, type, required, named, rest, default, choices, min, max }).
+ * @param {string} text - Raw argument text (without the command name).
+ * @returns {object} Parsed arguments keyed by name.
+ * @throws {ArgumentError} If the text does not match the spec.
+ */
+export function parseArgs(spec, text = '') {
+  const args = {}
+  const tokens = scan(text)
+  const named = spec.filter((arg) => arg.named)
+  const positional = spec.filter((arg) => !arg.named)
+  const rest = []
+
+  for (let i = 0; i < tokens.length; i++) {
+    const match = tokens[i].value.match(/^--([\w-]+)(?:=(.*))?$/)
+    const arg = match && named.find((a) => a.name === match[1])
+    if (!arg) {
+      rest.push({ ...tokens[i], index: i })
+      continue
+    }
+    let raw = match[2]
+    if (raw === undefined) {
+      if (arg.type === 'boolean') raw = 'true'
+      else if (i + 1 < tokens.length) raw = tokens[++i].value
+      else throw new ArgumentError(`Missing value for --${arg.name}.`, arg)
+    }
+    args[arg.name] = convert(arg, raw)
+  }
+
+  for (const arg of positional) {
+    const raw = arg.rest ? rawText(text, rest.splice(0)) : rest.shift()?.value
+    if (raw === undefined || raw === '') {
+      if (arg.required) {
+        throw new ArgumentError(`Missing required argument: ${arg.name}.`, arg)
+      }
+      if (arg.default !== undefined) args[arg.name] = arg.default
+      continue
+    }
+    args[arg.name] = convert(arg, raw)
+  }
+  if (rest.length) {
+    throw new ArgumentError(
+      `Too many arguments: ${rest.map((token) => token.value).join(' ')}`,
+      positional.at(-1)
+    )
+  }
+
+  for (const arg of named) {
+    if (args[arg.name] !== undefined) continue
+    if (arg.required) {
+      throw new ArgumentError(`Missing required option: --${arg.name}.`, arg)
+    }
+    if (arg.default !== undefined) args[arg.name] = arg.default
+  }
+  return args
+}
+
+/**
+ * Convert and validate argument values that arrive already split (slash command options) against an
+ * argument spec, with the same conversions and checks as parseArgs. Values not in the spec are kept.
+ * @param {Array<object>} spec - Argument specs.
+ * @param {object} values - Raw values keyed by name (attachments are kept as they are).
+ * @returns {object} Converted arguments keyed by name.
+ * @throws {ArgumentError} If a value does not match the spec.
+ */
+export function convertArgs(spec, values) {
+  const args = { ...values }
+  for (const arg of spec) {
+    const raw = values[arg.name]
+    if (raw === undefined || raw === null || raw === '') {
+      delete args[arg.name]
+      if (arg.required) {
+        throw new ArgumentError(`Missing required argument: ${arg.name}.`, arg)
+      }
+      if (arg.default !== undefined) args[arg.name] = arg.default
+      continue
+    }
+    args[arg.name] = typeof raw === 'object' ? raw : convert(arg, String(raw))
+  }
+  return args
+}
+
+/**
+ * Build a usage string from an argument spec.
+ * @example
+ * formatUsage('kick', [{ name: 'user', type: 'user', required: true }, { name: 'reason', rest: true }])
+ * // => '/kick <user> [reason...]'
+ * @param {string} command - Command name.
+ * @param {Array<object>} [spec=[]] - Argument specs.
+ * @returns {string} Usage string.
+ */
+export function formatUsage(command, spec = []) {
+  const parts = [`/${command.replace(/^[/!]/, '')}`]
+  for (const arg of spec) {
+    let label = arg.named
+      ? `--${arg.name}${arg.type === 'boolean' ? '' : ` <${arg.type || 'string'}>`}`
+      : `${arg.name}${arg.rest ? '...' : ''}`
+    if (!arg.named) label = arg.required ? `<${label}>` : `[${label}]`
+    else if (!arg.required) label = `[${label}]`
+    parts.push(label)
+  }
+  return parts.join(' ')
+}
@@ -0,0 +1,22 @@
+// DiscordBot middleware composition
+
+/**
+ * Compose middlewares into a single onion-style middleware.
+ * Each middleware receives `(ctx, next)`; awaiting `next()` runs the rest of
+ * the chain, and not calling it stops dispatch.
+ * @param {Array<function(Context, function):Promise<void>>} middlewares - Middleware functions.
+ * @returns {function(Context, function=):Promise<void>} Composed middleware.
+ */
+export function compose(middlewares) {
+  return (ctx, next) => {
+    let index = -1
+    const dispatch = async (i) => {
+      if (i <= index) throw new Error('next() called multiple times')
+      index = i
+      const fn = i === middlewares.length ? next : middlewares[i]
+      if (!fn) return
+      await fn(ctx, () => dispatch(i + 1))
+    }
+    return dispatch(0)
+  }
+}
@@ -0,0 +1,437 @@
+// DiscordBot composable handler groups
+import { ArgumentError, convertArgs, formatUsage, parseArgs } from './args.js'
+import { compose } from './compose.js'
+import { checkGuards, deniedMessage } from './guards.js'
+import { createRateLimiter } from './rateLimit.js'
+import { buildSlashCommand } from './slash.js'
+
+/**
+ * Group of handlers and middlewares with the command/hears/action/on/use API of DiscordBot.
+ * Mount a composer with `bot.use(composer)` (or `composer.use(child)` to nest them); filters
+ * such as `guild(id)` or `dm()` limit the updates its handlers and middlewares see.
+ * @example
+ * const moderation = new Composer().guild(GUILD_ID)
+ * moderation.command('kick', { permissions: ['KickMembers'] }, async (ctx) => {})
+ * bot.use(moderation)
+ * @class
+ */
+class Composer {
+  /**
+   * Create a new Composer.
+   */
+  constructor() {
+    this.handlers = {
+      message: [],
+      command: [],
+      action: [],
+      select: [],
+      modal: [],
+      photo: [],
+      document: [],
+      other: [],
+      new_member: [],
+      remove_member: [],
+      message_reaction_add: [],
+      message_reaction_remove: [],
+      permission_denied: [],
+    }
+    this.middlewares = []
+    this.commands = []
+    this.slashCommands = []
+    this.children = []
+    this.filters = []
+    this.guildIds = null // set by guild(), used for slash commands
+  }
+
+  // --- Filters ---
+  /**
+   * Only handle updates that pass a filter function. Filters are combined with AND.
+   * @param {function(Context):boolean|Promise<boolean>} fn - Filter function.
+   * @returns {Composer} This composer, for chaining.
+   */
+  filter(fn) {
+    this.filters.push(fn)
+    return this
+  }
+
+  /**
+   * Only handle updates from the given server(s). Slash commands registered on this composer
+   * are registered in these servers (unless they set `guildIds` themselves).
+   * @param {string|Array<string>} ids - Guild ID(s).
+   * @returns {Composer} This composer, for chaining.
+   */
+  guild(ids) {
+    const list = [].concat(ids)
+    this.guildIds = list
+    return this.filter((ctx) => list.includes(ctx.guildId))
+  }
+
+  /**
+   * Only handle updates from the given channel(s).
+   * @param {string|Array<string>} ids - Channel ID(s).
+   * @returns {Composer} This composer, for chaining.
+   */
+  channel(ids) {
+    const list = [].concat(ids)
+    return this.filter((ctx) => list.includes(ctx.channelId))
+  }
+
+  /**
+   * Only handle updates from direct messages.
+   * @returns {Composer} This composer, for chaining.
+   */
+  dm() {
+    return this.filter((ctx) => !ctx.guildId)
+  }
+
+  /**
+   * Internal: Whether an update passes all filters of this composer.
+   * @param {Context} ctx - Bot context.
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _passes(ctx) {
+    for (const fn of this.filters) {
+      if (!(await fn(ctx))) return false
+    }
+    return true
+  }
+
+  /**
+   * Register a middleware function, or mount a Composer (its handlers then run at this point of the chain).
+   * @param {function(Context, function):Promise<void>|Composer} fn - Middleware function or Composer.
+   * @returns {Composer} This composer, for chaining.
+   */
+  use(fn) {
+    if (fn instanceof Composer) {
+      this.children.push(fn)
+      this.middlewares.push(fn.middleware())
+    } else {
+      this.middlewares.push(fn)
+    }
+    return this
+  }
+
+  /**
+   * Register an event handler.
+   * @param {string} event - Event name.
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   * @returns {Composer} This composer, for chaining.
+   */
+  on(event, fn) {
+    if (!this.handlers[event]) this.handlers[event] = []
+    this.handlers[event].push(fn)
+    return this
+  }
+
+  /**
+   * Register a command handler.
+   * @param {string|RegExp|Array} cmds - Command(s) to match.
+   * @param {object|function(Context):Promise<void>} [options] - Command options, or the handler.
+   * @param {string} [options.description] - Command description (shown in help and the slash menu).
+   * @param {string} [options.usage] - Usage text (defaults to one built from `args`).
+   * @param {string} [options.category] - Help category.
+   * @param {Array<string>} [options.aliases] - Alternative names.
+   * @param {boolean} [options.hidden=false] - Hide the command from help.
+   * @param {function(Context):boolean|Promise<boolean>} [options.guard] - Only run (and list) the command when this returns true.
+   * @param {string|bigint|Array<string|bigint>} [options.permissions] - Discord permissions the invoker needs (e.g. 'KickMembers').
+   * @param {string|Array<string>} [options.roles] - Role IDs or names the invoker needs (any of them).
+   * @param {boolean} [options.ownerOnly=false] - Only allow the bot owners.
+   * @param {boolean} [options.guildOnly=false] - Only allow use in servers.
+   * @param {boolean} [options.dmOnly=false] - Only allow use in direct messages.
+   * @param {string|false} [options.deniedMessage] - Reply when a guard denies the invoker (default: a standard message per reason).
+   * @param {boolean} [options.slash=false] - Also register string command(s) as Discord slash commands.
+   * @param {Array<object>} [options.options] - Slash command option schemas ({ name, type, description, required, choices, min, max }).
+   * @param {string|Array<string>} [options.guildIds] - Register the slash command in these guilds only (default: global).
+   * @param {Array<object>} [options.args] - Argument spec ({ name, type, required, named, rest, default, choices, min, max }), parsed into `ctx.args`.
+   * @param {number|object} [options.cooldown] - Cooldown in milliseconds, or rate limit options ({ limit, window, bucket, message }).
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   */
+  command(cmds, options, fn) {
+    if (typeof options === 'function') {
+      fn = options
+      options = {}
+    }
+    const arr = [
+      ...(Array.isArray(cmds) ? cmds : [cmds]),
+      ...(options.aliases || []),
+    ]
+    const names = arr
+      .filter((cmd) => typeof cmd === 'string')
+      .map((cmd) => cmd.replace(/^[/!]/, ''))
+    if (options.slash) {
+      const guildIds = options.guildIds ? [].concat(options.guildIds) : null
+      for (const name of names) {
+        this.slashCommands.push({
+          data: buildSlashCommand(name, options),
+          guildIds,
+        })
+      }
+    }
+    const meta = {
+      name: names[0] || String(arr[0]),
+      aliases: names.slice(1),
+      description: options.description || '',
+      usage: options.usage || formatUsage(names[0] || 'command', options.args),
+      category: options.category || null,
+      hidden: Boolean(options.hidden) || !names.length,
+      canRun: async (ctx) =>
+        !checkGuards(ctx, options) &&
+        (options.guard ? options.guard(ctx) : true),
+    }
+    this.commands.push(meta)
+    const limiter = options.cooldown
+      ? createRateLimiter(options.cooldown)
+      : null
+    this.on('command', async (ctx) => {
+      if (!ctx.text) return
+      for (const cmd of arr) {
+        if (
+          (typeof cmd === 'string' &&
+            ctx.text.split(' ')[0] === cmd.replace(/^\//, '')) ||
+          (cmd instanceof RegExp && cmd.test(ctx.text))
+        ) {
+          ctx.command = meta
+          ctx.matched = meta.name
+          if (!(await this._checkAccess(ctx, options))) return
+          if (options.guard && !(await options.guard(ctx))) return
+          if (limiter && !(await limiter.consume(ctx))) {
+            ctx.handled = true
+            return
+          }
+          if (options.args) {
+            try {
+              ctx.args = ctx.isSlashCommand
+                ? convertArgs(options.args, ctx.args)
+                : parseArgs(
+                    options.args,
+                    ctx.text.slice(ctx.text.split(' ')[0].length)
+                  )
+            } catch (err) {
+              if (!(err instanceof ArgumentError)) throw err
+              await ctx.reply(`${err.message}\nUsage: ${meta.usage}`)
+              ctx.handled = true
+              return
+            }
+          }
+          await fn(ctx)
+          ctx.handled = true // automatically mark handled
+          return
+        }
+      }
+    })
+  }
+
+  /**
+   * Register a message pattern handler.
+   * @param {string|RegExp|Array} patterns - Patterns to match.
+   * @param {object|function(Context):Promise<void>} [options] - Guard options (permissions, roles, ownerOnly, guildOnly, dmOnly, deniedMessage), or the handler.
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   */
+  hears(patterns, options, fn) {
+    if (typeof options === 'function') {
+      fn = options
+      options = {}
+    }
+    const arr = Array.isArray(patterns) ? patterns : [patterns]
+    this.on('message', async (ctx) => {
+      if (!ctx.text) return
+      for (const pattern of arr) {
+        if (
+          (typeof pattern === 'string' && ctx.text === pattern) ||
+          (pattern instanceof RegExp && pattern.test(ctx.text))
+        ) {
+          ctx.matched = String(pattern)
+          if (!(await this._checkAccess(ctx, options))) return
+          await fn(ctx)
+          ctx.handled = true // automatically mark handled
+          return
+        }
+      }
+    })
+  }
+
+  /**
+   * Register an action (button) handler.
+   * @param {string|RegExp|Array} actionIdOrArray - Action(s) to match.
+   * @param {object|function(Context):Promise<void>} [options] - Handler options ({ cooldown }), or the handler.
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   */
+  action(actionIdOrArray, options, fn) {
+    this._onCustomId('action', actionIdOrArray, options, fn)
+  }
+
+  /**
+   * Register a select menu handler. The selected values are available as `ctx.values`.
+   * @param {string|RegExp|Array} customIdOrArray - Select menu custom ID(s) to match.
+   * @param {object|function(Context):Promise<void>} [options] - Handler options ({ cooldown }), or the handler.
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   */
+  select(customIdOrArray, options, fn) {
+    this._onCustomId('select', customIdOrArray, options, fn)
+  }
+
+  /**
+   * Register a modal submit handler. The submitted fields are available as `ctx.fields`.
+   * @param {string|RegExp|Array} customIdOrArray - Modal custom ID(s) to match.
+   * @param {object|function(Context):Promise<void>} [options] - Handler options ({ cooldown }), or the handler.
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   */
+  modal(customIdOrArray, options, fn) {
+    this._onCustomId('modal', customIdOrArray, options, fn)
+  }
+
+  /**
+   * Internal: Register a handler matching `ctx.payload` (a component custom ID).
+   * @param {string} type - Handler type.
+   * @param {string|RegExp|Array} patterns - Custom ID(s) to match.
+   * @param {object|function(Context):Promise<void>} [options] - Handler options, or the handler.
+   * @param {number|object} [options.cooldown] - Cooldown in milliseconds, or rate limit options ({ limit, window, bucket, message }).
+   * @param {string|bigint|Array<string|bigint>} [options.permissions] - Guard options, as for `command()` (also roles, ownerOnly, guildOnly, dmOnly, deniedMessage).
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   * @private
+   */
+  _onCustomId(type, patterns, options, fn) {
+    if (typeof options === 'function') {
+      fn = options
+      options = {}
+    }
+    const arr = Array.isArray(patterns) ? patterns : [patterns]
+    const limiter = options.cooldown
+      ? createRateLimiter(options.cooldown)
+      : null
+    this.on(type, async (ctx) => {
+      for (const pattern of arr) {
+        if (
+          (typeof pattern === 'string' && ctx.payload === pattern) ||
+          (pattern instanceof RegExp && pattern.test(ctx.payload))
+        ) {
+          ctx.matched = String(pattern)
+          if (!(await this._checkAccess(ctx, options))) return
+          if (limiter && !(await limiter.consume(ctx))) {
+            ctx.handled = true
+            return
+          }
+          await fn(ctx)
+          ctx.handled = true // automatically mark handled
+          return
+        }
+      }
+    })
+  }
+
+  /**
+   * Internal: Check the guard options of a handler. A denied update is marked handled and either passed
+   * to the `permission_denied` handlers (with the denial in `ctx.denied`) or answered with the denial reply.
+   * @param {Context} ctx - Bot context.
+   * @param {object} options - Handler options.
+   * @returns {Promise<boolean>} True if the handler may run.
+   * @private
+   */
+  async _checkAccess(ctx, options) {
+    const denial = checkGuards(ctx, options)
+    if (!denial) return true
+    ctx.handled = true
+    ctx.denied = denial
+    // Denial hooks are registered on the bot, so they cover mounted composers too
+    const hooks = ctx.bot?.handlers.permission_denied || []
+    if (hooks.length) {
+      for (const handler of hooks) await handler(ctx)
+      return false
+    }
+    const message = deniedMessage(denial, options.deniedMessage)
+    if (message) await ctx.replyEphemeral(message)
+    return false
+  }
+
+  /**
+   * Internal: Run registered handlers of a type until one marks the update handled.
+   * @param {Context} ctx - Bot context.
+   * @param {string} type - Handler type.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runHandlers(ctx, type) {
+    for (const handler of this.handlers[type] || []) {
+      if (ctx.handled) break
+      await handler(ctx)
+    }
+  }
+
+  /**
+   * Internal: Run the handlers matching an update. Messages starting with / or ! run the
+   * command handlers (with the prefix removed from `ctx.text`) before the message handlers.
+   * @param {Context} ctx - Bot context.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _dispatch(ctx) {
+    if (ctx.updateType !== 'message') {
+      await this._runHandlers(ctx, ctx.updateType)
+      return
+    }
+    const text = ctx.text
+    const content = ctx.event.content || ''
+    if (content.startsWith('/') || content.startsWith('!')) {
+      ctx.text = content.slice(1)
+      await this._runHandlers(ctx, 'command')
+    }
+    await this._runHandlers(ctx, 'message')
+    // Later middlewares see the original text of unhandled messages
+    if (!ctx.handled) ctx.text = text
+  }
+
+  /**
+   * Get a middleware running this composer: filtered updates skip it, matched updates stop
+   * at its handlers, and unmatched ones continue down the chain.
+   * @returns {function(Context, function):Promise<void>} Middleware function.
+   */
+  middleware() {
+    return async (ctx, next) => {
+      if (!(await this._passes(ctx))) return next()
+      await compose([
+        ...this.middlewares,
+        async (ctx, next) => {
+          await this._dispatch(ctx)
+          if (!ctx.handled) await next()
+        },
+      ])(ctx, next)
+    }
+  }
+
+  /**
+   * List the command metadata of this composer and its mounted composers. The `canRun` check
+   * of each command includes the filters of the composers it is mounted in.
+   * @returns {Array<object>} Command metadata.
+   */
+  listCommands() {
+    const commands = [
+      ...this.commands,
+      ...this.children.flatMap((child) => child.listCommands()),
+    ]
+    if (!this.filters.length) return commands
+    return commands.map((cmd) => ({
+      ...cmd,
+      canRun: async (ctx) => (await this._passes(ctx)) && cmd.canRun(ctx),
+    }))
+  }
+
+  /**
+   * List the slash command definitions of this composer and its mounted composers.
+   * @returns {Array<{data: object, guildIds: Array<string>|null}>} Slash command definitions.
+   */
+  listSlashCommands() {
+    return [
+      ...this.slashCommands,
+      ...this.children.flatMap((child) => child.listSlashCommands()),
+    ].map((def) =>
+      def.guildIds || !this.guildIds ? def : { ...def, guildIds: this.guildIds }
+    )
+  }
+}
+
+/**
+ * Composable handler group.
+ * @type {Composer}
+ */
+export { Composer }
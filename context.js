@@ -1,3 +1,13 @@
+import { MessageFlags } from 'discord.js'
+import {
+  DiscordBotError,
+  DiscordRequestError,
+  MemberNotFoundError,
+  MissingPermissionsError,
+  RoleHierarchyError,
+} from './errors.js'
+import { missingPermissions } from './guards.js'
+
 /**
  * Context abstraction for DiscordBot. Provides message, event, session, and reply helpers.
  * @class
@@ -12,10 +22,24 @@ class Context {
   constructor(bot, event, senderId) {
     this.bot = bot
     this.chat = { id: senderId }
+    // Discord.js User who triggered the update (reaction events set it from the reacting user)
+    this.from = event.author || event.user || null
+    this.guildId =
+      event.guildId ?? event.guild?.id ?? event.message?.guildId ?? null
+    this.channelId = event.channelId ?? event.message?.channelId ?? null
     this.text = event.content
     this.event = event
     this.session = {}
     this.scene = null
+    this.options = {} // slash command options, keyed by name
+    this.args = {} // parsed command arguments, keyed by name
+    this.isSlashCommand = false
+    this.matched = null // name or pattern of the handler that matched the update, for logging
+    this.values = [] // selected select menu values
+    this.fields = {} // submitted modal fields, keyed by input custom ID
+    this._acknowledged = false
+    this._deferred = null // 'reply' or 'update' once the interaction is deferred
+    this._pendingAck = null
 
     // Discord-specific: attachments, embeds, etc.
     this.attachments = event.attachments || []
@@ -23,18 +47,29 @@ class Context {
     this.files = this.attachments.filter((a) => a.type === 'file')
   }
 
-  // --- Basic Reply ---
   /**
-   * Reply to the current event/message.
+   * Whether the current event is a repliable interaction (slash command, button, select menu or modal submit).
+   * @type {boolean}
+   */
+  get isInteraction() {
+    return (
+      typeof this.event.isRepliable === 'function' && this.event.isRepliable()
+    )
+  }
+
+  // --- Send ---
+  /**
+   * Internal: Build a message payload from text or a payload object and optional buttons.
    * @param {string|object} textOrPayload - Message text or Discord.js payload object.
    * @param {Array|object|null} [buttons=null] - Button(s) to attach.
-   * @returns {Promise<object>} Discord.js message response.
+   * @returns {object} Discord.js message payload.
+   * @private
    */
-  async reply(textOrPayload, buttons = null) {
+  _buildPayload(textOrPayload, buttons = null) {
     let payload
     if (typeof textOrPayload === 'string') {
       payload = { content: textOrPayload }
-    } else if (textOrPayload && textOrPayload.content) {
+    } else if (textOrPayload && typeof textOrPayload === 'object') {
       payload = { ...textOrPayload }
     } else {
       payload = { content: String(textOrPayload) }
@@ -42,7 +77,238 @@ class Context {
 
     if (buttons)
       payload.components = Array.isArray(buttons) ? buttons : [buttons]
-    return this.event.channel.send(payload)
+    return payload
+  }
+
+  /**
+   * Channel the update happened in. Reactions use the channel of the reacted message, member
+   * join/leave events the server's system channel.
+   * @type {object|null}
+   */
+  get channel() {
+    const event = this.event
+    return (
+      event.channel ??
+      event.message?.channel ??
+      event.guild?.systemChannel ??
+      null
+    )
+  }
+
+  /**
+   * Internal: Send a payload in response to the current event.
+   * Interactions are answered through the interaction (reply, then edit of a deferred reply, then follow-ups),
+   * everything else is sent to the channel (see `ctx.channel`) through the bot's send queue.
+   * @param {object} payload - Discord.js message payload ({ ephemeral: true } for interaction-only replies).
+   * @returns {Promise<object>} Discord.js message response.
+   * @private
+   */
+  async _send(payload) {
+    const { ephemeral, ...rest } = payload
+    if (!this.isInteraction) {
+      const channel = this.channel
+      if (!channel) {
+        throw new DiscordBotError('This update has no channel to reply in', {
+          code: 'NO_CHANNEL',
+        })
+      }
+      return this.bot._queueSend(channel, rest)
+    }
+
+    const interaction = this.event
+    await this._pendingAck
+    const data = ephemeral ? { ...rest, flags: MessageFlags.Ephemeral } : rest
+    if (!this._isAcknowledged()) {
+      this._acknowledged = true
+      return interaction.reply(data)
+    }
+    if (
+      this._deferred === 'reply' &&
+      !interaction.replied &&
+      (!ephemeral || interaction.ephemeral)
+    ) {
+      return interaction.editReply(rest)
+    }
+    return interaction.followUp(data)
+  }
+
+  /**
+   * Internal: Whether the interaction has been (or is being) replied to, deferred or updated.
+   * @returns {boolean}
+   * @private
+   */
+  _isAcknowledged() {
+    return Boolean(
+      this._acknowledged || this.event.replied || this.event.deferred
+    )
+  }
+
+  /**
+   * Internal: Defer the interaction unless it is already acknowledged.
+   * @param {string} kind - 'reply' (deferReply) or 'update' (deferUpdate).
+   * @param {object} [options={}] - Discord.js deferReply options.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _defer(kind, options = {}) {
+    if (this._isAcknowledged()) {
+      await this._pendingAck
+      return
+    }
+    const interaction = this.event
+    this._acknowledged = true
+    this._deferred = kind
+    const ack =
+      kind === 'update'
+        ? interaction.deferUpdate()
+        : interaction.deferReply(options)
+    // Replies wait for the deferral; its failure surfaces to the caller only
+    this._pendingAck = ack.catch(() => {})
+    await ack
+  }
+
+  /**
+   * Internal: Whether the interaction came from a message component, so the message itself can be updated.
+   * @returns {boolean}
+   * @private
+   */
+  _isFromMessage() {
+    const event = this.event
+    return Boolean(
+      event.isMessageComponent?.() ||
+      (event.isModalSubmit?.() && event.isFromMessage?.())
+    )
+  }
+
+  /**
+   * Internal: Acknowledge an interaction that nothing has been sent for yet.
+   * Component interactions are deferred as an update, everything else as a reply.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _autoDefer() {
+    if (!this.isInteraction) return
+    await this._defer(this._isFromMessage() ? 'update' : 'reply')
+  }
+
+  // --- Basic Reply ---
+  /**
+   * Reply to the current event/message. Interactions are replied to through the interaction.
+   * @param {string|object} textOrPayload - Message text or Discord.js payload object.
+   * @param {Array|object|null} [buttons=null] - Button(s) to attach.
+   * @returns {Promise<object>} Discord.js message response.
+   */
+  async reply(textOrPayload, buttons = null) {
+    return this._send(this._buildPayload(textOrPayload, buttons))
+  }
+
+  /**
+   * Reply with a message only the user can see. Falls back to a normal reply outside interactions.
+   * @param {string|object} textOrPayload - Message text or Discord.js payload object.
+   * @param {Array|object|null} [buttons=null] - Button(s) to attach.
+   * @returns {Promise<object>} Discord.js message response.
+   */
+  async replyEphemeral(textOrPayload, buttons = null) {
+    return this._send({
+      ...this._buildPayload(textOrPayload, buttons),
+      ephemeral: true,
+    })
+  }
+
+  // --- Interaction Replies ---
+  /**
+   * Defer the reply, showing a "thinking..." state. Outside interactions, shows the typing indicator.
+   * @param {object} [options={}] - Defer options.
+   * @param {boolean} [options.ephemeral=false] - Make the eventual reply ephemeral.
+   * @returns {Promise<void>}
+   */
+  async deferReply({ ephemeral = false } = {}) {
+    if (!this.isInteraction) {
+      await this.channel?.sendTyping?.()
+      return
+    }
+    await this._defer(
+      'reply',
+      ephemeral ? { flags: MessageFlags.Ephemeral } : {}
+    )
+  }
+
+  /**
+   * Edit the interaction's reply (or the deferred "thinking..." reply).
+   * @param {string|object} textOrPayload - Message text or Discord.js payload object.
+   * @param {Array|object|null} [buttons=null] - Button(s) to attach.
+   * @returns {Promise<object>} Discord.js message response.
+   */
+  async editReply(textOrPayload, buttons = null) {
+    if (!this.isInteraction) {
+      throw new Error('editReply() is only available for interactions')
+    }
+    await this._pendingAck
+    return this.event.editReply(this._buildPayload(textOrPayload, buttons))
+  }
+
+  /**
+   * Send a follow-up message. Outside interactions, sends a normal reply.
+   * @param {string|object} textOrPayload - Message text or Discord.js payload object.
+   * @param {Array|object|null} [buttons=null] - Button(s) to attach.
+   * @returns {Promise<object>} Discord.js message response.
+   */
+  async followUp(textOrPayload, buttons = null) {
+    const payload = this._buildPayload(textOrPayload, buttons)
+    if (!this.isInteraction) return this._send(payload)
+    await this._pendingAck
+    if (!this._isAcknowledged()) return this._send(payload)
+    const { ephemeral, ...rest } = payload
+    return this.event.followUp(
+      ephemeral ? { ...rest, flags: MessageFlags.Ephemeral } : rest
+    )
+  }
+
+  /**
+   * Edit the message the button or select menu is attached to.
+   * @param {string|object} textOrPayload - Message text or Discord.js payload object.
+   * @param {Array|object|null} [buttons=null] - Button(s) to attach.
+   * @returns {Promise<object>} Discord.js message response.
+   */
+  async editMessage(textOrPayload, buttons = null) {
+    if (!this.isInteraction || !this._isFromMessage()) {
+      throw new Error(
+        'editMessage() is only available for component interactions'
+      )
+    }
+    const payload = this._buildPayload(textOrPayload, buttons)
+    await this._pendingAck
+    const interaction = this.event
+    if (!this._isAcknowledged()) {
+      this._acknowledged = true
+      return interaction.update(payload)
+    }
+    return interaction.message.edit(payload)
+  }
+
+  /**
+   * Answer a button or select menu press. With text, shows it to the user only; without, just acknowledges the press.
+   * @param {string} [text] - Text to show.
+   * @returns {Promise<object|void>} Discord.js message response, if text was sent.
+   */
+  async answerAction(text) {
+    if (!this.isInteraction) return text ? this.reply(text) : undefined
+    if (text) return this.replyEphemeral(text)
+    await this._autoDefer()
+  }
+
+  // --- Show Modal ---
+  /**
+   * Show a modal form in response to a button, select menu or slash command interaction.
+   * @param {object} modal - Modal built with Markup.modal().
+   * @returns {Promise<void>}
+   */
+  async showModal(modal) {
+    if (typeof this.event.showModal !== 'function') {
+      throw new Error('Modals can only be shown in response to an interaction')
+    }
+    this._acknowledged = true
+    await this.event.showModal(modal)
   }
 
   // --- Reply with Photo ---
@@ -73,7 +339,7 @@ class Context {
     }
     if (buttons)
       payload.components = Array.isArray(buttons) ? buttons : [buttons]
-    return this.event.channel.send(payload)
+    return this._send(payload)
   }
 
   // --- Reply with Document ---
@@ -106,7 +372,7 @@ class Context {
     }
     if (buttons)
       payload.components = Array.isArray(buttons) ? buttons : [buttons]
-    return this.event.channel.send(payload)
+    return this._send(payload)
   }
 
   // --- Reply with PDF ---
@@ -141,61 +407,116 @@ class Context {
     }
     if (buttons)
       payload.components = Array.isArray(buttons) ? buttons : [buttons]
-    return this.event.channel.send(payload)
+    return this._send(payload)
   }
 
-  // --- Kick Member ---
+  // --- Moderation Checks ---
   /**
-   * Kick a member from the server.
-   * @param {string|object} target - User ID or GuildMember object.
-   * @param {string} [reason='Kicked by bot'] - Reason for kick.
-   * @returns {Promise<boolean>} True if successful, false otherwise.
+   * Internal: Check that the invoking user may moderate a member. They need the permission and, unless they
+   * own the server, a higher top role than the member. Member join/leave events have no invoking user and are not checked.
+   * @param {object} member - Discord.js GuildMember to moderate.
+   * @param {string} permission - Required permission name (e.g. 'KickMembers').
+   * @returns {Promise<void>}
+   * @throws {MissingPermissionsError} If the invoking user lacks the permission.
+   * @throws {RoleHierarchyError} If the invoking user's top role is not above the member's.
+   * @private
    */
-  async kickMember(target, reason = 'Kicked by bot') {
-    let member = null
-    if (target && typeof target.kick === 'function') {
-      member = target
-    } else if (typeof target === 'string' && this.event.guild) {
-      try {
-        member = await this.event.guild.members.fetch(target)
-      } catch {}
+  async _checkModerate(member, permission) {
+    if (this.updateType === 'new_member' || this.updateType === 'remove_member')
+      return
+    const missing = missingPermissions(this, permission)
+    if (missing.length) throw new MissingPermissionsError(missing)
+    let invoker = this.event.member
+    if (!invoker?.roles?.highest && this.from && member.guild) {
+      invoker = await member.guild.members.fetch(this.from.id).catch(() => null)
+    }
+    if (!invoker) throw new MissingPermissionsError([permission])
+    if (member.guild?.ownerId === invoker.id) return
+    if (invoker.roles.highest.comparePositionTo(member.roles.highest) <= 0) {
+      throw new RoleHierarchyError(member.id)
     }
-    if (member && typeof member.kick === 'function') {
+  }
+
+  /**
+   * Internal: Kick or ban a member. Failures return false, or throw a typed error in throw mode.
+   * @param {string} action - 'kick' or 'ban'.
+   * @param {string|object} target - User ID or GuildMember object.
+   * @param {string} reason - Audit log reason.
+   * @param {object} options - Moderation options ({ checkPermissions, throw }).
+   * @returns {Promise<boolean>} True if successful.
+   * @private
+   */
+  async _moderate(action, target, reason, options) {
+    const { checkPermissions = true, throw: throws = false } = options
+    try {
+      let member = target
+      if (typeof target === 'string') {
+        const guild = this.event.guild ?? this.event.message?.guild
+        if (!guild) throw new MemberNotFoundError(target)
+        try {
+          member = await guild.members.fetch(target)
+        } catch (err) {
+          throw new MemberNotFoundError(target, { cause: err })
+        }
+      }
+      if (!member || typeof member[action] !== 'function') {
+        throw new MemberNotFoundError(String(member?.id ?? target))
+      }
+      if (checkPermissions) {
+        await this._checkModerate(
+          member,
+          action === 'kick' ? 'KickMembers' : 'BanMembers'
+        )
+      }
       try {
-        await member.kick(reason)
-        return true
-      } catch {
-        return false
+        await (action === 'kick' ? member.kick(reason) : member.ban({ reason }))
+      } catch (err) {
+        throw new DiscordRequestError(`Could not ${action} ${member.id}`, err)
       }
+      return true
+    } catch (err) {
+      if (throws) throw err
+      return false
     }
-    return false
+  }
+
+  // --- Kick Member ---
+  /**
+   * Kick a member from the server. By default the invoking user must have the Kick Members permission
+   * and a higher top role than the member.
+   * @example
+   * try {
+   *   await ctx.kickMember(userId, 'Spam', { throw: true })
+   * } catch (err) {
+   *   if (err instanceof MemberNotFoundError) await ctx.reply('No such member.')
+   *   else if (err instanceof MissingPermissionsError) await ctx.reply('You cannot kick members.')
+   *   else throw err
+   * }
+   * @param {string|object} target - User ID or GuildMember object.
+   * @param {string} [reason='Kicked by bot'] - Reason for kick.
+   * @param {object} [options={}] - Kick options.
+   * @param {boolean} [options.checkPermissions=true] - Check the invoking user's permission and role position.
+   * @param {boolean} [options.throw=false] - Throw the error (MemberNotFoundError, MissingPermissionsError,
+   *   RoleHierarchyError or DiscordRequestError) instead of returning false.
+   * @returns {Promise<boolean>} True if successful, false otherwise.
+   */
+  async kickMember(target, reason = 'Kicked by bot', options = {}) {
+    return this._moderate('kick', target, reason, options)
   }
 
   // --- Ban Member ---
   /**
-   * Ban a member from the server.
+   * Ban a member from the server. By default the invoking user must have the Ban Members permission
+   * and a higher top role than the member.
    * @param {string|object} target - User ID or GuildMember object.
    * @param {string} [reason='Banned by bot'] - Reason for ban.
+   * @param {object} [options={}] - Ban options.
+   * @param {boolean} [options.checkPermissions=true] - Check the invoking user's permission and role position.
+   * @param {boolean} [options.throw=false] - Throw the error instead of returning false (see kickMember).
    * @returns {Promise<boolean>} True if successful, false otherwise.
    */
-  async banMember(target, reason = 'Banned by bot') {
-    let member = null
-    if (target && typeof target.ban === 'function') {
-      member = target
-    } else if (typeof target === 'string' && this.event.guild) {
-      try {
-        member = await this.event.guild.members.fetch(target)
-      } catch {}
-    }
-    if (member && typeof member.ban === 'function') {
-      try {
-        await member.ban({ reason })
-        return true
-      } catch {
-        return false
-      }
-    }
-    return false
+  async banMember(target, reason = 'Banned by bot', options = {}) {
+    return this._moderate('ban', target, reason, options)
   }
 
   // --- Delete Message ---
@@ -0,0 +1,172 @@
+// DiscordBot framework errors
+
+/**
+ * Base class of the errors thrown by the framework. `code` identifies the error type,
+ * and `cause` holds the underlying error, if any.
+ * @class
+ */
+export class DiscordBotError extends Error {
+  /**
+   * Create a new DiscordBotError.
+   * @param {string} message - Error message.
+   * @param {object} [options={}] - Error options.
+   * @param {string} [options.code='DISCORDBOT_ERROR'] - Error code.
+   * @param {Error} [options.cause] - Underlying error.
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined)
+    this.name = 'DiscordBotError'
+    this.code = options.code || 'DISCORDBOT_ERROR'
+  }
+}
+
+/**
+ * Error thrown when the invoking user (or the bot) lacks Discord permissions.
+ * @class
+ * @extends DiscordBotError
+ */
+export class MissingPermissionsError extends DiscordBotError {
+  /**
+   * Create a new MissingPermissionsError.
+   * @param {Array<string>} missing - Missing permission names.
+   * @param {object} [options={}] - Error options.
+   * @param {string} [options.message] - Error message.
+   * @param {Error} [options.cause] - Underlying error.
+   */
+  constructor(missing, options = {}) {
+    super(options.message || `Missing permissions: ${missing.join(', ')}`, {
+      code: 'MISSING_PERMISSIONS',
+      cause: options.cause,
+    })
+    this.name = 'MissingPermissionsError'
+    this.missing = missing
+  }
+}
+
+/**
+ * Error thrown when the invoking user's top role is not above the member they try to moderate.
+ * @class
+ * @extends DiscordBotError
+ */
+export class RoleHierarchyError extends DiscordBotError {
+  /**
+   * Create a new RoleHierarchyError.
+   * @param {string} userId - ID of the member that could not be moderated.
+   */
+  constructor(userId) {
+    super(`Your highest role must be above the member ${userId}`, {
+      code: 'ROLE_HIERARCHY',
+    })
+    this.name = 'RoleHierarchyError'
+    this.userId = userId
+  }
+}
+
+/**
+ * Error thrown when a member is not in the server.
+ * @class
+ * @extends DiscordBotError
+ */
+export class MemberNotFoundError extends DiscordBotError {
+  /**
+   * Create a new MemberNotFoundError.
+   * @param {string} userId - User ID.
+   * @param {object} [options={}] - Error options.
+   * @param {Error} [options.cause] - Underlying error.
+   */
+  constructor(userId, options = {}) {
+    super(`Member ${userId} not found`, {
+      code: 'MEMBER_NOT_FOUND',
+      cause: options.cause,
+    })
+    this.name = 'MemberNotFoundError'
+    this.userId = userId
+  }
+}
+
+/**
+ * Error thrown when a Discord request fails (e.g. the bot's own role is too low to kick).
+ * @class
+ * @extends DiscordBotError
+ */
+export class DiscordRequestError extends DiscordBotError {
+  /**
+   * Create a new DiscordRequestError.
+   * @param {string} message - Error message.
+   * @param {Error} cause - Discord.js error.
+   */
+  constructor(message, cause) {
+    super(`${message}: ${cause.message}`, { code: 'DISCORD_REQUEST', cause })
+    this.name = 'DiscordRequestError'
+    this.status = cause.status
+  }
+}
+
+/**
+ * Error thrown when a rate limiter in throw mode limits an update.
+ * @class
+ * @extends DiscordBotError
+ */
+export class RateLimitedError extends DiscordBotError {
+  /**
+   * Create a new RateLimitedError.
+   * @param {number} retryAfter - Milliseconds until the next hit is allowed.
+   * @param {string} key - Rate limit bucket key.
+   */
+  constructor(retryAfter, key) {
+    super(`Rate limited, retry in ${Math.ceil(retryAfter / 1000)}s`, {
+      code: 'RATE_LIMITED',
+    })
+    this.name = 'RateLimitedError'
+    this.retryAfter = retryAfter
+    this.key = key
+  }
+}
+
+/**
+ * Error thrown when a session store call fails.
+ * @class
+ * @extends DiscordBotError
+ */
+export class SessionStoreError extends DiscordBotError {
+  /**
+   * Create a new SessionStoreError.
+   * @param {string} operation - Store method ('get' or 'set').
+   * @param {string} key - Session key.
+   * @param {Error} cause - Store error.
+   */
+  constructor(operation, key, cause) {
+    super(`Session store ${operation} failed for "${key}": ${cause.message}`, {
+      code: 'SESSION_STORE',
+      cause,
+    })
+    this.name = 'SessionStoreError'
+    this.operation = operation
+    this.key = key
+  }
+}
+
+/**
+ * Error passed to the error handler when an update is not handled within the `handlerTimeout`.
+ * The handler itself keeps running.
+ * @class
+ * @extends DiscordBotError
+ */
+export class HandlerTimeoutError extends DiscordBotError {
+  /**
+   * Create a new HandlerTimeoutError.
+   * @param {number} timeout - Timeout in milliseconds.
+   * @param {string} type - Update type.
+   * @param {string|null} [handler] - Matched handler (`ctx.matched`).
+   */
+  constructor(timeout, type, handler = null) {
+    super(
+      `${handler ? `Handler "${handler}"` : `${type} update`} did not finish within ${timeout}ms`,
+      { code: 'HANDLER_TIMEOUT' }
+    )
+    this.name = 'HandlerTimeoutError'
+    this.timeout = timeout
+    this.type = type
+    this.handler = handler
+  }
+}
@@ -0,0 +1,175 @@
+// DiscordBot declarative form scenes
+import { argTypes } from './args.js'
+import { Scene } from './scenes.js'
+
+/**
+ * Field type converters for form scenes. Each returns the converted value, or null if the input is invalid.
+ * @type {object}
+ */
+export const fieldTypes = {
+  text: (ctx) => ctx.text?.trim() || null,
+  email: (ctx) => {
+    const text = ctx.text?.trim()
+    return text && /^\S+@\S+\.\S+$/.test(text) ? text : null
+  },
+  number: (ctx) => (ctx.text ? argTypes.number(ctx.text.trim()) : null),
+  integer: (ctx) => (ctx.text ? argTypes.integer(ctx.text.trim()) : null),
+  choice: (ctx, field) => {
+    // Choices can also be picked with a button or select menu
+    const input = ctx.text ?? ctx.values?.[0] ?? ctx.payload
+    const text = input?.trim().toLowerCase()
+    if (!text) return null
+    const choice = (field.choices || [])
+      .map((c) => (typeof c === 'object' ? c : { label: String(c), value: c }))
+      .find(
+        (c) =>
+          c.label.toLowerCase() === text ||
+          String(c.value).toLowerCase() === text
+      )
+    return choice ? choice.value : null
+  },
+  attachment: (ctx) => {
+    const attachments = ctx.attachments
+    const file = attachments?.first?.() ?? attachments?.[0]
+    if (!file) return null
+    return {
+      url: file.url,
+      name: file.name,
+      contentType: file.contentType,
+      size: file.size,
+    }
+  },
+}
+
+const DEFAULT_RETRY = {
+  text: 'Please enter a value.',
+  email: 'Please enter a valid email address.',
+  number: 'Please enter a number.',
+  integer: 'Please enter a whole number.',
+  choice: 'Please pick one of the options.',
+  attachment: 'Please upload a file.',
+}
+
+/**
+ * A scene built from a list of fields. Each field is prompted in turn, the answer is
+ * converted and validated (with a retry message on bad input), and the collected values
+ * are passed to the completion handler. Answers are kept in `ctx.scene.state`.
+ * @class
+ * @extends Scene
+ */
+class FormScene extends Scene {
+  /**
+   * Create a new FormScene.
+   * @param {string} name - Scene name.
+   * @param {Array<object>} fields - Field definitions.
+   * @param {string} fields[].name - Field name (key in the collected values).
+   * @param {string|function(Context):Promise<void>} fields[].prompt - Prompt text, or a function sending the prompt.
+   * @param {string} [fields[].type='text'] - 'text', 'email', 'number', 'integer', 'choice' or 'attachment'.
+   * @param {Array<string|object>} [fields[].choices] - Choices for 'choice' fields, as strings or { label, value }.
+   * @param {number} [fields[].min] - Minimum value (numbers) or length (text).
+   * @param {number} [fields[].max] - Maximum value (numbers) or length (text).
+   * @param {function(*, Context):boolean|string|Promise<boolean|string>} [fields[].validate] - Extra validation; return false or an error message to reject.
+   * @param {string} [fields[].retry] - Message sent when the answer is invalid.
+   * @param {boolean} [fields[].optional=false] - Allow skipping the field with the skip word.
+   * @param {*} [fields[].default=null] - Value of a skipped field.
+   * @param {object} [options={}] - Form options (plus Scene options such as ttl).
+   * @param {function(Context, object):Promise<void>} [options.onComplete] - Called with the collected values; the scene is left afterwards.
+   * @param {string} [options.skipWord='skip'] - Answer that skips an optional field.
+   */
+  constructor(name, fields, options = {}) {
+    const { onComplete, skipWord = 'skip', ...sceneOptions } = options
+    const steps = [{ name: null, handler: (ctx) => this._prompt(ctx, 0) }]
+    fields.forEach((field, index) => {
+      steps.push({
+        name: field.name,
+        handler: (ctx) => this._answer(ctx, index),
+        // Choice fields take a button press or select menu value matching a choice
+        components:
+          field.type === 'choice' &&
+          ((ctx) => fieldTypes.choice(ctx, field) !== null),
+      })
+    })
+    super(name, steps, sceneOptions)
+    this.fields = fields
+    this.onComplete = onComplete
+    this.skipWord = skipWord
+  }
+  /**
+   * Internal: Send the prompt of a field.
+   * @param {Context} ctx - Bot context.
+   * @param {number} index - Field index.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _prompt(ctx, index) {
+    const { prompt } = this.fields[index]
+    if (typeof prompt === 'function') await prompt(ctx)
+    else await ctx.reply(prompt)
+  }
+  /**
+   * Internal: Convert and validate the answer to a field.
+   * @param {Context} ctx - Bot context.
+   * @param {object} field - Field definition.
+   * @returns {Promise<{value: *}|{error: string}>} The value, or the retry message.
+   * @private
+   */
+  async _read(ctx, field) {
+    const type = field.type || 'text'
+    const retry = field.retry || DEFAULT_RETRY[type] || 'Invalid answer.'
+    if (
+      field.optional &&
+      ctx.text?.trim().toLowerCase() === this.skipWord.toLowerCase()
+    ) {
+      return { value: field.default ?? null }
+    }
+    const converter = fieldTypes[type]
+    if (!converter) throw new Error(`Unknown form field type "${type}"`)
+    const value = converter(ctx, field)
+    if (value === null) return { error: retry }
+    const size = typeof value === 'string' ? value.length : value
+    if (
+      (field.min !== undefined && size < field.min) ||
+      (field.max !== undefined && size > field.max)
+    ) {
+      return { error: retry }
+    }
+    if (field.validate) {
+      const valid = await field.validate(value, ctx)
+      if (valid === false) return { error: retry }
+      if (typeof valid === 'string') return { error: valid }
+    }
+    return { value }
+  }
+  /**
+   * Internal: Handle the answer to a field, then prompt the next one or complete the form.
+   * @param {Context} ctx - Bot context.
+   * @param {number} index - Field index.
+   * @returns {Promise<void|boolean>} False to repeat the step on bad input.
+   * @private
+   */
+  async _answer(ctx, index) {
+    const field = this.fields[index]
+    const answer = await this._read(ctx, field)
+    if (answer.error) {
+      await ctx.reply(answer.error)
+      return false
+    }
+    ctx.scene.state[field.name] = answer.value
+    if (index + 1 < this.fields.length) {
+      await this._prompt(ctx, index + 1)
+      return
+    }
+    const values = {}
+    for (const { name } of this.fields) values[name] = ctx.scene.state[name]
+    const frame = ctx.session.__scene
+    if (this.onComplete) await this.onComplete(ctx, values)
+    // The completion handler may already have left or switched scenes
+    if (ctx.session.__scene === frame) await this.leave(ctx, values)
+  }
+}
+
+/**
+ * Declarative form scene built on Scene.
+ * @type {FormScene}
+ */
+export { FormScene }
@@ -0,0 +1,114 @@
+// DiscordBot permission and role guards
+import { PermissionsBitField } from 'discord.js'
+
+/**
+ * Standard denial replies, keyed by denial reason.
+ * @type {object}
+ */
+export const deniedMessages = {
+  guildOnly: 'This command can only be used in a server.',
+  dmOnly: 'This command can only be used in direct messages.',
+  ownerOnly: 'Only the bot owner can use this command.',
+  permissions: (missing) => {
+    const names = missing.map((name) =>
+      name.replace(/([a-z])([A-Z])/g, '$1 $2')
+    )
+    const plural = missing.length > 1 ? 's' : ''
+    return `You need the ${names.join(', ')} permission${plural} to use this command.`
+  },
+  roles: 'You do not have the required role to use this command.',
+}
+
+/**
+ * Get the invoking member's permissions in the current channel.
+ * @param {Context} ctx - Bot context.
+ * @returns {PermissionsBitField|null} Permissions, or null outside a server.
+ */
+export function memberPermissions(ctx) {
+  const { event } = ctx
+  if (event.memberPermissions) return event.memberPermissions
+  const member = event.member
+  if (!member) return null
+  if (typeof member.permissionsIn === 'function' && event.channel) {
+    return member.permissionsIn(event.channel)
+  }
+  return member.permissions instanceof PermissionsBitField
+    ? member.permissions
+    : new PermissionsBitField(BigInt(member.permissions || 0))
+}
+
+/**
+ * Get the permissions the invoking member is missing.
+ * @param {Context} ctx - Bot context.
+ * @param {string|bigint|Array<string|bigint>} permissions - Permission names (e.g. 'KickMembers') or flags.
+ * @returns {Array<string>} Missing permission names (all of them outside a server).
+ */
+export function missingPermissions(ctx, permissions) {
+  const required = new PermissionsBitField(permissions)
+  const perms = memberPermissions(ctx)
+  return perms ? perms.missing(required) : required.toArray()
+}
+
+/**
+ * Whether the invoking member has any of the given roles.
+ * @param {Context} ctx - Bot context.
+ * @param {string|Array<string>} roles - Role IDs or names.
+ * @returns {boolean}
+ */
+export function hasRole(ctx, roles) {
+  const wanted = [].concat(roles)
+  const memberRoles = ctx.event.member?.roles
+  if (!memberRoles) return false
+  // Uncached interaction members only carry role IDs
+  if (Array.isArray(memberRoles)) {
+    return memberRoles.some((id) => wanted.includes(id))
+  }
+  return memberRoles.cache.some(
+    (role) => wanted.includes(role.id) || wanted.includes(role.name)
+  )
+}
+
+/**
+ * Whether the invoking user is one of the bot owners.
+ * @param {Context} ctx - Bot context.
+ * @returns {boolean}
+ */
+export function isOwner(ctx) {
+  return Boolean(ctx.from && ctx.bot.owners.includes(ctx.from.id))
+}
+
+/**
+ * Check the guard options of a handler against the current update.
+ * @param {Context} ctx - Bot context.
+ * @param {object} options - Handler options.
+ * @param {boolean} [options.guildOnly] - Only allow use in servers.
+ * @param {boolean} [options.dmOnly] - Only allow use in direct messages.
+ * @param {boolean} [options.ownerOnly] - Only allow the bot owners.
+ * @param {string|bigint|Array<string|bigint>} [options.permissions] - Discord permissions the invoker needs (all of them).
+ * @param {string|Array<string>} [options.roles] - Role IDs or names the invoker needs (any of them).
+ * @returns {{reason: string, missing?: Array<string>}|null} The denial, or null if the update is allowed.
+ */
+export function checkGuards(ctx, options) {
+  const inGuild = Boolean(ctx.guildId)
+  if (options.guildOnly && !inGuild) return { reason: 'guildOnly' }
+  if (options.dmOnly && inGuild) return { reason: 'dmOnly' }
+  if (options.ownerOnly && !isOwner(ctx)) return { reason: 'ownerOnly' }
+  if (options.permissions) {
+    const missing = missingPermissions(ctx, options.permissions)
+    if (missing.length) return { reason: 'permissions', missing }
+  }
+  if (options.roles && !hasRole(ctx, options.roles)) return { reason: 'roles' }
+  return null
+}
+
+/**
+ * Build the denial reply for a denial.
+ * @param {{reason: string, missing?: Array<string>}} denial - Denial from checkGuards.
+ * @param {string|false} [override] - Handler-specific reply (false to reply nothing).
+ * @returns {string|false} Reply text.
+ */
+export function deniedMessage(denial, override) {
+  if (override !== undefined) return override
+  const message = deniedMessages[denial.reason]
+  return typeof message === 'function' ? message(denial.missing) : message
+}
@@ -0,0 +1,45 @@
+// DiscordBot help command formatting
+
+/**
+ * Format a list of commands grouped by category.
+ * @param {Array<object>} commands - Command metadata ({ name, description, category }).
+ * @param {object} [options={}] - Formatting options.
+ * @param {string} [options.title='Available commands'] - Heading of the list.
+ * @param {string} [options.defaultCategory='General'] - Category for commands without one.
+ * @returns {string} Help text.
+ */
+export function formatCommandList(commands, options = {}) {
+  const { title = 'Available commands', defaultCategory = 'General' } = options
+  if (!commands.length) return 'No commands available.'
+  const categories = {}
+  for (const cmd of commands) {
+    const category = cmd.category || defaultCategory
+    if (!categories[category]) categories[category] = []
+    categories[category].push(cmd)
+  }
+  const sections = Object.entries(categories).map(([category, cmds]) => {
+    const lines = cmds.map((cmd) =>
+      cmd.description
+        ? `\`/${cmd.name}\` — ${cmd.description}`
+        : `\`/${cmd.name}\``
+    )
+    return `**${category}**\n${lines.join('\n')}`
+  })
+  return `**${title}**\n\n${sections.join('\n\n')}`
+}
+
+/**
+ * Format the details of a single command.
+ * @param {object} cmd - Command metadata ({ name, aliases, description, usage, category }).
+ * @returns {string} Help text.
+ */
+export function formatCommandHelp(cmd) {
+  const lines = [`**/${cmd.name}**`]
+  if (cmd.description) lines.push(cmd.description)
+  lines.push(`Usage: \`${cmd.usage}\``)
+  if (cmd.aliases.length) {
+    lines.push(`Aliases: ${cmd.aliases.map((a) => `\`/${a}\``).join(', ')}`)
+  }
+  if (cmd.category) lines.push(`Category: ${cmd.category}`)
+  return lines.join('\n')
+}
@@ -1,77 +1,164 @@
+import { ArgumentError, convertArgs, formatUsage, parseArgs } from './args.js'
+import { compose } from './compose.js'
+import { Composer } from './composer.js'
 import Context from './context.js'
+import {
+  DiscordBotError,
+  DiscordRequestError,
+  HandlerTimeoutError,
+  MemberNotFoundError,
+  MissingPermissionsError,
+  RateLimitedError,
+  RoleHierarchyError,
+  SessionStoreError,
+} from './errors.js'
+import { FormScene } from './formScene.js'
+import { formatCommandHelp, formatCommandList } from './help.js'
+import { Logger, createLogger } from './logger.js'
 import Markup from './markup.js'
+import { Metrics, createMetrics } from './metrics.js'
+import logger from './middlewares/logger.js'
+import { RateLimiter, rateLimit } from './rateLimit.js'
 import { Scene, SceneManager } from './scenes.js'
-import { session } from './session.js'
+import {
+  FileSessionStore,
+  MemorySessionStore,
+  SqliteSessionStore,
+  createSessionStore,
+  resolveSessionKey,
+  session,
+  sessionKeys,
+} from './session.js'
 import { sessionStore as defaultSessionStore } from './sessionStore.js'
+import { SendQueue, createSendQueue } from './sendQueue.js'
+import {
+  readInteractionArgs,
+  readInteractionOptions,
+  syncSlashCommands,
+} from './slash.js'
 
 /**
  * Main DiscordBot framework class. Handles commands, actions, scenes, middlewares, and message events.
  * @class
+ * @extends Composer
  */
 
-class DiscordBot {
+class DiscordBot extends Composer {
   /**
-   * Register a command handler.
-   * @param {string|RegExp|Array} cmds - Command(s) to match.
-   * @param {function(Context):Promise<void>} fn - Handler function.
+   * Enable the built-in help command, listing commands by category and showing details for `help <command>`.
+   * Hidden commands and commands whose guard rejects the user are left out.
+   * @param {object} [options={}] - Help options.
+   * @param {string} [options.name='help'] - Command name.
+   * @param {string} [options.title='Available commands'] - Heading of the command list.
+   * @param {string} [options.defaultCategory='General'] - Category for commands without one.
+   * @param {boolean} [options.slash=false] - Also register help as a slash command.
    */
-  command(cmds, fn) {
-    const arr = Array.isArray(cmds) ? cmds : [cmds]
-    this.on('command', async (ctx) => {
-      if (!ctx.text) return
-      for (const cmd of arr) {
-        if (
-          (typeof cmd === 'string' &&
-            ctx.text.split(' ')[0] === cmd.replace(/^\//, '')) ||
-          (cmd instanceof RegExp && cmd.test(ctx.text))
-        ) {
-          await fn(ctx)
-          ctx.handled = true // automatically mark handled
+  help(options = {}) {
+    const { name = 'help', ...helpOptions } = options
+    this.command(
+      name,
+      {
+        description: 'Show available commands',
+        category: helpOptions.defaultCategory,
+        slash: helpOptions.slash,
+        args: [{ name: 'command' }],
+        options: [{ name: 'command', description: 'Command name' }],
+      },
+      async (ctx) => {
+        const commands = await this.visibleCommands(ctx)
+        const query = ctx.args.command?.replace(/^[/!]/, '')
+        if (!query) {
+          await ctx.reply(formatCommandList(commands, helpOptions))
           return
         }
+        const found = commands.find(
+          (cmd) => cmd.name === query || cmd.aliases.includes(query)
+        )
+        await ctx.reply(
+          found ? formatCommandHelp(found) : `Unknown command: ${query}`
+        )
       }
-    })
+    )
+  }
+
+  /**
+   * Get the registered commands the current user can see and run.
+   * @param {Context} ctx - Bot context.
+   * @returns {Promise<Array<object>>} Command metadata ({ name, aliases, description, usage, category }).
+   */
+  async visibleCommands(ctx) {
+    const visible = []
+    for (const cmd of this.listCommands()) {
+      if (!cmd.hidden && (await cmd.canRun(ctx))) visible.push(cmd)
+    }
+    return visible
   }
 
   /**
    * Create a new DiscordBot instance.
    * @param {object} options - Bot options.
    * @param {string} options.token - Discord bot token.
-   * @param {object} [options.sessionStore] - Custom session store.
+   * @param {object} [options.sessionStore] - Session store instance, or options for createSessionStore (e.g. { type: 'sqlite', path: 'sessions.db' }).
+   * @param {string|function(Context):string|null} [options.sessionKey='user'] - Session key strategy ('user', 'user+channel', 'channel', 'guild', 'user+guild') or a custom key function.
    * @param {function} [options.errorHandler] - Error handler.
+   * @param {Logger|object|false} [options.logger] - Logger instance, Logger options ({ level, format, redact }), or false to log nothing.
+   * @param {Metrics|object|boolean} [options.metrics] - Collect metrics: a Metrics instance, Metrics options ({ port } serves `/metrics` and `/health`), or true.
+   * @param {string|Array<string>} [options.owners] - User IDs of the bot owners (default: the application owner or team members).
+   * @param {SendQueue|object|false} [options.sendQueue] - Outgoing send queue: a SendQueue instance, SendQueue options ({ concurrency, globalConcurrency, retries, retryDelay }), or false to send directly.
+   * @param {number} [options.handlerTimeout] - Pass a HandlerTimeoutError to the error handler when an update takes longer than this many milliseconds (default: no timeout).
+   * @param {number|false} [options.autoDefer=2000] - Defer interactions whose handlers have not replied after this many milliseconds (false to disable).
    */
-  constructor({ token, sessionStore, errorHandler = null } = {}) {
+  constructor({
+    token,
+    sessionStore,
+    sessionKey = 'user',
+    errorHandler = null,
+    logger,
+    metrics,
+    owners = [],
+    sendQueue,
+    handlerTimeout = null,
+    autoDefer = 2000,
+  } = {}) {
+    super()
     if (!token) throw new Error('DiscordBot requires a bot token')
     this.token = token
-    this.sessionStore = sessionStore || defaultSessionStore
-    this.errorHandler = errorHandler
-    this.handlers = {
-      message: [],
-      command: [],
-      action: [],
-      photo: [],
-      document: [],
-      other: [],
-      new_member: [],
-      remove_member: [],
-      message_reaction_add: [],
-      message_reaction_remove: [],
+    this.logger = createLogger(logger)
+    if (!sessionStore) {
+      this.sessionStore = defaultSessionStore
+      this.sessionStore.logger ??= this.logger
+    } else if (typeof sessionStore.get === 'function') {
+      this.sessionStore = sessionStore
+    } else {
+      this.sessionStore = createSessionStore({
+        logger: this.logger,
+        ...sessionStore,
+      })
     }
-    this.middlewares = []
+    this.sessionKey = resolveSessionKey(sessionKey)
+    this.errorHandler = errorHandler
+    this.sendQueue = createSendQueue(sendQueue, this.logger)
+    this.metrics = metrics ? createMetrics(metrics).attach(this) : null
+    this.owners = [].concat(owners)
+    this.handlerTimeout = handlerTimeout
+    this.autoDefer = autoDefer
     this.actions = {}
     this.client = null
   }
 
   /**
-   * Register a middleware function.
-   * @param {function(Context, function):Promise<void>} fn - Middleware function.
+   * Get the session key for a context, using the configured session key strategy.
+   * @param {Context} ctx - Bot context.
+   * @returns {string|null} Session key, or null if the update has no session.
    */
-  use(fn) {
-    this.middlewares.push(fn)
+  getSessionKey(ctx) {
+    return this.sessionKey(ctx) ?? null
   }
 
   /**
-   * Set a global error handler.
+   * Set a global error handler. It is awaited, and gets the failed update's context (also for member and
+   * reaction events) and the error: a DiscordBotError subclass for framework errors (SessionStoreError,
+   * HandlerTimeoutError, RateLimitedError, ...) or whatever a handler threw.
    * @param {function(Error, Context):Promise<void>} fn - Error handler function.
    */
   catch(fn) {
@@ -79,103 +166,256 @@ class DiscordBot {
   }
 
   /**
-   * Register an event handler.
-   * @param {string} event - Event name.
-   * @param {function(Context):Promise<void>} fn - Handler function.
-   */
-  on(event, fn) {
-    if (!this.handlers[event]) this.handlers[event] = []
-    this.handlers[event].push(fn)
-  }
-
-  /**
-   * Register a message pattern handler.
-   * @param {string|RegExp|Array} patterns - Patterns to match.
-   * @param {function(Context):Promise<void>} fn - Handler function.
-   */
-  hears(patterns, fn) {
-    const arr = Array.isArray(patterns) ? patterns : [patterns]
-    this.on('message', async (ctx) => {
-      if (!ctx.text) return
-      for (const pattern of arr) {
-        if (
-          (typeof pattern === 'string' && ctx.text === pattern) ||
-          (pattern instanceof RegExp && pattern.test(ctx.text))
-        ) {
-          await fn(ctx)
-          ctx.handled = true // automatically mark handled
-          return
-        }
-      }
-    })
-  }
-
-  /**
-   * Send a message to a channel.
+   * Send a message to a channel, through the send queue.
    * @param {string} chatId - Channel ID.
    * @param {object|string} payload - Message payload or text.
    * @returns {Promise<object|undefined>} Discord.js message response.
    */
   async sendMessage(chatId, payload) {
-    if (!this.client) return
-    const channel = this.client.channels?.cache.get(chatId)
+    const channel = await this._resolveChannel(chatId)
     if (!channel) return
 
     if (typeof payload === 'string') {
-      return channel.send(payload)
+      return this._queueSend(channel, payload)
     } else if (payload.embeds || payload.files) {
-      return channel.send(payload)
+      return this._queueSend(channel, payload)
     } else {
-      return channel.send({ content: 'Unsupported message format' })
+      return this._queueSend(channel, { content: 'Unsupported message format' })
     }
   }
 
   /**
-   * Internal: Setup Discord button interactions.
-   * @private
+   * Send a message to many channels through the send queue. Channels are fetched and sent to in the
+   * queue, in parallel across channels up to its global concurrency, and failures do not stop the broadcast.
+   * @example
+   * const report = await bot.broadcast(channelIds, 'Maintenance in 10 minutes', {
+   *   onProgress: ({ done, total }) => console.log(`${done}/${total}`),
+   * })
+   * for (const { channelId, error } of report.failed) bot.logger.warn('Broadcast failed', { channel: channelId, error })
+   * @param {Array<string>} channelIds - Channel IDs.
+   * @param {object|string|function(string):object|string} payload - Message payload or text, or a function building it per channel ID.
+   * @param {object} [options={}] - Broadcast options.
+   * @param {function(object):void} [options.onProgress] - Called after each channel with { done, total, sent, failed, channelId, error }.
+   * @returns {Promise<{total: number, sent: Array<{channelId: string, message: object}>, failed: Array<{channelId: string, error: Error}>}>} Broadcast report.
    */
-  _setupInteractions() {
-    if (!this.client) return
-    this.client.on('interactionCreate', async (interaction) => {
-      if (!interaction.isButton()) return
-      const ctx = new Context(this, interaction, interaction.channelId)
-      ctx.payload = interaction.customId
-
-      for (const handler of this.handlers.action) {
+  async broadcast(channelIds, payload, options = {}) {
+    const report = { total: channelIds.length, sent: [], failed: [] }
+    // Without a send queue, a one-off queue still caps the channel fetches and sends
+    const queue = this.sendQueue || new SendQueue({ retries: 0 })
+    await Promise.all(
+      channelIds.map(async (channelId) => {
+        let error = null
         try {
-          await handler(ctx)
+          const message = await queue.push(channelId, async () => {
+            const channel = await this._resolveChannel(channelId)
+            if (!channel) {
+              throw new DiscordBotError(`Unknown channel ${channelId}`, {
+                code: 'UNKNOWN_CHANNEL',
+              })
+            }
+            return channel.send(
+              typeof payload === 'function' ? payload(channelId) : payload
+            )
+          })
+          report.sent.push({ channelId, message })
         } catch (err) {
-          if (this.errorHandler) this.errorHandler(err, ctx)
-          else console.error('Action handler error:', err)
+          error = err
+          report.failed.push({ channelId, error })
         }
+        options.onProgress?.({
+          done: report.sent.length + report.failed.length,
+          total: report.total,
+          sent: report.sent.length,
+          failed: report.failed.length,
+          channelId,
+          error,
+        })
+      })
+    )
+    return report
+  }
+
+  /**
+   * Internal: Get a channel from the cache, or fetch it.
+   * @param {string} channelId - Channel ID.
+   * @returns {Promise<object|null>} Discord.js channel, or null if it is unknown.
+   * @private
+   */
+  async _resolveChannel(channelId) {
+    const channels = this.client?.channels
+    if (!channels) return null
+    const cached = channels.cache?.get(channelId)
+    if (cached) return cached
+    return channels.fetch ? channels.fetch(channelId).catch(() => null) : null
+  }
+
+  /**
+   * Internal: Send a payload to a channel through the send queue (or directly if it is disabled).
+   * @param {object} channel - Discord.js channel.
+   * @param {object|string} payload - Message payload or text.
+   * @returns {Promise<object>} Discord.js message response.
+   * @private
+   */
+  _queueSend(channel, payload) {
+    if (!this.sendQueue) return channel.send(payload)
+    return this.sendQueue.push(channel.id, () => channel.send(payload))
+  }
+
+  /**
+   * Internal: Run the middleware chain for an update, ending in the given handler.
+   * The session is loaded from the session store before the chain runs and saved afterwards if it changed.
+   * Updates, their duration and session store latency are recorded in `bot.metrics` when metrics are enabled.
+   * @param {Context} ctx - Bot context.
+   * @param {string} type - Update type (e.g. 'message', 'action', 'new_member').
+   * @param {function(Context):Promise<void>} [handle] - Final handler (defaults to the handlers matching the update).
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleUpdate(ctx, type, handle = (ctx) => this._dispatch(ctx)) {
+    ctx.updateType = type
+    let sessionKey = null
+    let snapshot
+    try {
+      // A custom key function may throw (e.g. reading the guild of a DM); report it like handler errors
+      sessionKey = this.getSessionKey(ctx)
+      if (sessionKey !== null) {
+        ctx.session = (await this._sessionCall('get', sessionKey)) || {}
+        snapshot = JSON.stringify(ctx.session)
+      }
+      const start = performance.now()
+      // Report slow updates without cancelling them; the session is saved once they finish
+      const timer = this.handlerTimeout
+        ? setTimeout(() => {
+            const err = new HandlerTimeoutError(
+              this.handlerTimeout,
+              type,
+              ctx.matched
+            )
+            this._handleError(err, ctx, type)
+          }, this.handlerTimeout)
+        : null
+      try {
+        await compose([...this.middlewares, handle])(ctx)
+      } finally {
+        clearTimeout(timer)
+        this.metrics?.observeUpdate(
+          type,
+          ctx.matched,
+          (performance.now() - start) / 1000
+        )
       }
+    } catch (err) {
+      await this._handleError(err, ctx, type)
+    }
+    // Only write sessions that were loaded and changed by this update
+    if (snapshot === undefined || JSON.stringify(ctx.session) === snapshot) {
+      return
+    }
+    try {
+      await this._sessionCall('set', sessionKey, ctx.session)
+    } catch (err) {
+      await this._handleError(err, ctx, type)
+    }
+  }
 
+  /**
+   * Internal: Call a session store method, recording its latency when metrics are enabled.
+   * @param {string} operation - Store method ('get' or 'set').
+   * @param {string} key - Session key.
+   * @param {...*} args - Further method arguments.
+   * @returns {Promise<*>} Method result.
+   * @throws {SessionStoreError} If the store call fails.
+   * @private
+   */
+  async _sessionCall(operation, key, ...args) {
+    const start = performance.now()
+    try {
+      return await this.sessionStore[operation](key, ...args)
+    } catch (err) {
+      throw new SessionStoreError(operation, key, err)
+    } finally {
+      this.metrics?.observeSession(
+        operation,
+        (performance.now() - start) / 1000
+      )
+    }
+  }
+
+  /**
+   * Internal: Pass an update error to the error handler and wait for it, or log the error (unless the
+   * logger middleware already did). Errors thrown by the error handler itself are logged.
+   * @param {Error} err - Error.
+   * @param {Context} ctx - Bot context.
+   * @param {string} type - Update type.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleError(err, ctx, type) {
+    this.metrics?.observeError(type, ctx.matched)
+    const fields = {
+      type,
+      user: ctx.from?.id,
+      guild: ctx.guildId,
+      channel: ctx.channelId,
+      handler: ctx.matched,
+    }
+    if (this.errorHandler) {
       try {
-        await interaction.deferUpdate()
-      } catch {}
-    })
+        await this.errorHandler(err, ctx)
+      } catch (handlerErr) {
+        this.logger.error('Error handler failed', {
+          ...fields,
+          error: handlerErr,
+          cause: err,
+        })
+      }
+    } else if (ctx._errorLogged !== err) {
+      this.logger.error(`${type} handler error`, { ...fields, error: err })
+    }
   }
 
   /**
-   * Register an action (button) handler.
-   * @param {string|RegExp|Array} actionIdOrArray - Action(s) to match.
-   * @param {function(Context):Promise<void>} fn - Handler function.
+   * Internal: Setup Discord slash command, button, select menu and modal interactions.
+   * @private
    */
-  action(actionIdOrArray, fn) {
-    const arr = Array.isArray(actionIdOrArray)
-      ? actionIdOrArray
-      : [actionIdOrArray]
-    this.on('action', async (ctx) => {
-      for (const pattern of arr) {
-        if (
-          (typeof pattern === 'string' && ctx.payload === pattern) ||
-          (pattern instanceof RegExp && pattern.test(ctx.payload))
-        ) {
-          await fn(ctx)
-          ctx.handled = true // automatically mark handled
-          return
+  _setupInteractions() {
+    if (!this.client) return
+    this.client.on('interactionCreate', async (interaction) => {
+      let type
+      if (interaction.isChatInputCommand()) type = 'command'
+      else if (interaction.isButton()) type = 'action'
+      else if (interaction.isAnySelectMenu()) type = 'select'
+      else if (interaction.isModalSubmit()) type = 'modal'
+      else return
+      const ctx = new Context(this, interaction, interaction.channelId)
+      if (type === 'command') {
+        ctx.text = interaction.commandName
+        ctx.isSlashCommand = true
+        ctx.options = readInteractionOptions(interaction)
+        ctx.args = readInteractionArgs(interaction)
+      } else {
+        ctx.payload = interaction.customId
+      }
+      if (type === 'select') ctx.values = interaction.values
+      if (type === 'modal') {
+        for (const [id, field] of interaction.fields.fields) {
+          ctx.fields[id] = field.value
         }
       }
+
+      // Defer slow handlers before Discord's 3-second interaction timeout
+      const timer = this.autoDefer
+        ? setTimeout(() => ctx._autoDefer().catch(() => {}), this.autoDefer)
+        : null
+      await this._handleUpdate(ctx, type)
+      clearTimeout(timer)
+
+      // Acknowledge component presses nothing was sent for
+      if (ctx._isFromMessage()) {
+        try {
+          await ctx._autoDefer()
+        } catch {}
+      }
     })
   }
 
@@ -184,8 +424,8 @@ class DiscordBot {
    * @returns {Promise<void>}
    */
   async launch() {
+    const { Client, Events, GatewayIntentBits } = await import('discord.js')
     if (!this.client) {
-      const { Client, GatewayIntentBits } = await import('discord.js')
       this.client = new Client({
         intents: [
           GatewayIntentBits.Guilds,
@@ -197,58 +437,15 @@ class DiscordBot {
       })
     }
 
+    if (this.metrics) this.metrics.watchGateway(this.client)
+
     this.client.on('messageCreate', async (message) => {
       if (message.author.bot) return
 
       const ctx = new Context(this, message, message.channelId)
-      ctx.session = (await this.sessionStore.get(message.author.id)) || {}
       ctx.handled = false
 
-      // Run middlewares
-      for (const mw of this.middlewares) {
-        try {
-          await mw(ctx, async () => {})
-        } catch (err) {
-          if (this.errorHandler) this.errorHandler(err, ctx)
-          else console.error('Middleware error:', err)
-        }
-      }
-
-      // Run command handlers first if message starts with / or !
-      if (message.content.startsWith('/') || message.content.startsWith('!')) {
-        ctx.text = message.content.slice(1)
-        for (const handler of this.handlers.command) {
-          if (ctx.handled) break
-          try {
-            await handler(ctx)
-          } catch (err) {
-            if (this.errorHandler) this.errorHandler(err, ctx)
-            else console.error('Command handler error:', err)
-          }
-        }
-      }
-
-      // Run message handlers only if not handled
-      let messageHandled = false
-      if (!ctx.handled) {
-        for (const handler of this.handlers.message) {
-          if (ctx.handled) break
-          try {
-            await handler(ctx)
-            messageHandled = true
-          } catch (err) {
-            if (this.errorHandler) this.errorHandler(err, ctx)
-            else console.error('Message handler error:', err)
-          }
-        }
-      }
-
-      // Default reply if not handled and not in a scene
-      if (!ctx.handled && !ctx.session.__scene && ctx.text) {
-        return
-      }
-
-      await this.sessionStore.set(message.author.id, ctx.session)
+      await this._handleUpdate(ctx, 'message')
     })
 
     // Setup interactions
@@ -256,54 +453,78 @@ class DiscordBot {
 
     // Member join
     this.client.on('guildMemberAdd', async (member) => {
-      for (const handler of this.handlers.new_member || []) {
-        try {
-          await handler(new Context(this, member, member.id))
-        } catch (err) {
-          if (this.errorHandler) this.errorHandler(err)
-          else console.error('new_member error:', err)
-        }
-      }
+      await this._handleUpdate(
+        new Context(this, member, member.id),
+        'new_member'
+      )
     })
 
     // Member leave
     this.client.on('guildMemberRemove', async (member) => {
-      for (const handler of this.handlers.remove_member || []) {
-        try {
-          await handler(new Context(this, member, member.id))
-        } catch (err) {
-          if (this.errorHandler) this.errorHandler(err)
-          else console.error('remove_member error:', err)
-        }
-      }
+      await this._handleUpdate(
+        new Context(this, member, member.id),
+        'remove_member'
+      )
     })
 
     // Reaction add
     this.client.on('messageReactionAdd', async (reaction, user) => {
-      for (const handler of this.handlers.message_reaction_add || []) {
-        try {
-          await handler(new Context(this, reaction, user.id))
-        } catch (err) {
-          if (this.errorHandler) this.errorHandler(err)
-          else console.error('message_reaction_add error:', err)
-        }
-      }
+      const ctx = new Context(this, reaction, user.id)
+      ctx.from = user
+      await this._handleUpdate(ctx, 'message_reaction_add')
     })
 
     // Reaction remove
     this.client.on('messageReactionRemove', async (reaction, user) => {
-      for (const handler of this.handlers.message_reaction_remove || []) {
+      const ctx = new Context(this, reaction, user.id)
+      ctx.from = user
+      await this._handleUpdate(ctx, 'message_reaction_remove')
+    })
+
+    this.client.once(Events.ClientReady, async () => {
+      // Register slash commands once the application is available
+      try {
+        await syncSlashCommands(this.client, this.listSlashCommands())
+      } catch (err) {
+        this.logger.error('Slash command registration failed', { error: err })
+      }
+      if (!this.owners.length) {
         try {
-          await handler(new Context(this, reaction, user.id))
-        } catch (err) {
-          if (this.errorHandler) this.errorHandler(err)
-          else console.error('message_reaction_remove error:', err)
-        }
+          const { owner } = await this.client.application.fetch()
+          this.owners = owner?.members
+            ? [...owner.members.keys()]
+            : [owner?.id].filter(Boolean)
+        } catch {}
       }
     })
 
     await this.client.login(this.token)
-    console.log('🚀 DiscordBot is running and connected to Discord!')
+    if (this.metrics && this.metrics.port !== null) {
+      const server = await this.metrics.listen()
+      this.logger.info('Metrics server listening', {
+        port: server.address().port,
+      })
+    }
+    this.logger.info('🚀 DiscordBot is running and connected to Discord!', {
+      user: this.client.user?.tag,
+    })
+  }
+
+  /**
+   * Stop the bot: wait for queued sends, disconnect from Discord, stop the metrics server and flush pending session writes.
+   * @example
+   * process.once('SIGINT', () => bot.stop())
+   * process.once('SIGTERM', () => bot.stop())
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.sendQueue?.onIdle()
+    if (this.client) {
+      await this.client.destroy()
+      this.client = null
+    }
+    await this.metrics?.close()
+    await this.sessionStore.close?.()
   }
 }
 
@@ -316,4 +537,35 @@ export default DiscordBot
  * Markup utility for Discord message components.
  * @type {Markup}
  */
-export { Markup, Scene, SceneManager, session }
+export {
+  ArgumentError,
+  Composer,
+  DiscordBotError,
+  DiscordRequestError,
+  FileSessionStore,
+  FormScene,
+  HandlerTimeoutError,
+  Logger,
+  Markup,
+  MemberNotFoundError,
+  MemorySessionStore,
+  Metrics,
+  MissingPermissionsError,
+  RateLimitedError,
+  RateLimiter,
+  RoleHierarchyError,
+  Scene,
+  SceneManager,
+  SendQueue,
+  SessionStoreError,
+  SqliteSessionStore,
+  compose,
+  convertArgs,
+  createLogger,
+  formatUsage,
+  logger,
+  parseArgs,
+  rateLimit,
+  session,
+  sessionKeys,
+}
@@ -0,0 +1,227 @@
+// DiscordBot structured logger
+
+/**
+ * Log levels by name. Entries below the logger level are dropped; 'silent' drops everything.
+ * @type {object}
+ */
+export const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+}
+
+const COLORS = { debug: 90, info: 36, warn: 33, error: 31 }
+
+const DEFAULT_REDACT = ['token', 'password', 'authorization', 'content', 'text']
+
+// Discord bot tokens: base64 user ID, timestamp and HMAC separated by dots
+const TOKEN_PATTERN = /[\w-]{23,}\.[\w-]{6,7}\.[\w-]{27,}/g
+
+/**
+ * Internal: Replace Discord tokens in a string.
+ * @param {string} text - Text.
+ * @returns {string} Text with tokens replaced.
+ * @private
+ */
+function redactTokens(text) {
+  return text.replace(TOKEN_PATTERN, '[redacted]')
+}
+
+/**
+ * Internal: Default log output, writing warnings and errors to stderr and the rest to stdout.
+ * @param {string} line - Formatted entry.
+ * @param {string} level - Entry level.
+ * @private
+ */
+function writeConsole(line, level) {
+  if (LEVELS[level] >= LEVELS.warn) console.error(line)
+  else console.log(line)
+}
+
+/**
+ * Leveled logger writing pretty console lines or JSON lines. Fields named in `redact` are
+ * replaced with '[redacted]', and Discord tokens are removed from all strings and stack traces.
+ * @example
+ * const log = new Logger({ level: 'debug', format: 'json' })
+ * log.info('Update handled', { type: 'command', user: '123', durationMs: 4 })
+ * @class
+ */
+class Logger {
+  /**
+   * Create a new Logger.
+   * @param {object} [options={}] - Logger options.
+   * @param {string} [options.level='info'] - Minimum level: 'debug', 'info', 'warn', 'error' or 'silent'.
+   * @param {string} [options.format='pretty'] - 'pretty' for console lines or 'json' for JSON lines.
+   * @param {Array<string>|false} [options.redact] - Field names to redact (default: token, password, authorization,
+   *   content and text; false to redact nothing but tokens).
+   * @param {boolean} [options.colors] - Colorize pretty output (default: when stdout is a terminal).
+   * @param {function(string, string):void} [options.output] - Called with each formatted entry and its level
+   *   (default: stdout, or stderr for warnings and errors).
+   * @param {object} [options.fields] - Fields added to every entry.
+   */
+  constructor(options = {}) {
+    const {
+      level = 'info',
+      format = 'pretty',
+      redact = DEFAULT_REDACT,
+    } = options
+    if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}"`)
+    this.level = level
+    this.format = format
+    this.redact = new Set((redact || []).map((key) => key.toLowerCase()))
+    this.colors = options.colors ?? Boolean(process.stdout?.isTTY)
+    this.output = options.output || writeConsole
+    this.fields = options.fields || {}
+  }
+  /**
+   * Whether entries of a level are written.
+   * @param {string} level - Log level.
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level]
+  }
+  /**
+   * Write a log entry.
+   * @param {string} level - Log level.
+   * @param {string} message - Message.
+   * @param {object} [fields={}] - Structured fields. An `error` field is logged with its stack trace.
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactTokens(String(message)),
+      ...this._clean({ ...this.fields, ...fields }),
+    }
+    const line =
+      this.format === 'json' ? JSON.stringify(entry) : this._pretty(entry)
+    this.output(line, level)
+  }
+  /**
+   * Write a debug entry.
+   * @param {string} message - Message.
+   * @param {object} [fields] - Structured fields.
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields)
+  }
+  /**
+   * Write an info entry.
+   * @param {string} message - Message.
+   * @param {object} [fields] - Structured fields.
+   */
+  info(message, fields) {
+    this.log('info', message, fields)
+  }
+  /**
+   * Write a warning entry.
+   * @param {string} message - Message.
+   * @param {object} [fields] - Structured fields.
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields)
+  }
+  /**
+   * Write an error entry.
+   * @param {string} message - Message.
+   * @param {object} [fields] - Structured fields.
+   */
+  error(message, fields) {
+    this.log('error', message, fields)
+  }
+  /**
+   * Create a logger with the same settings that adds fields to every entry.
+   * @param {object} fields - Fields to add.
+   * @returns {Logger} Child logger.
+   */
+  child(fields) {
+    const child = Object.create(this)
+    child.fields = { ...this.fields, ...fields }
+    return child
+  }
+  /**
+   * Internal: Drop empty fields, redact sensitive ones and serialize errors.
+   * @param {object} fields - Fields.
+   * @param {number} [depth=0] - Nesting depth.
+   * @returns {object} Cleaned fields.
+   * @private
+   */
+  _clean(fields, depth = 0) {
+    const clean = {}
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined || value === null) continue
+      if (this.redact.has(key.toLowerCase())) clean[key] = '[redacted]'
+      else clean[key] = this._value(value, depth)
+    }
+    return clean
+  }
+  /**
+   * Internal: Convert a field value to a JSON-safe value.
+   * @param {*} value - Value.
+   * @param {number} depth - Nesting depth.
+   * @returns {*} Converted value.
+   * @private
+   */
+  _value(value, depth) {
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: redactTokens(value.message),
+        ...(value.code !== undefined && { code: value.code }),
+        stack: value.stack && redactTokens(value.stack),
+      }
+    }
+    if (typeof value === 'string') return redactTokens(value)
+    if (typeof value === 'bigint') return String(value)
+    if (typeof value !== 'object') return value
+    if (depth >= 3) return '[object]'
+    if (Array.isArray(value)) return value.map((v) => this._value(v, depth + 1))
+    return this._clean(value, depth + 1)
+  }
+  /**
+   * Internal: Format an entry as a console line, e.g. `2026-01-01T12:00:00.000Z INFO  Update handled type=command durationMs=4`.
+   * Error stacks follow on the next lines.
+   * @param {object} entry - Log entry.
+   * @returns {string} Formatted line.
+   * @private
+   */
+  _pretty(entry) {
+    const { time, level, msg, ...fields } = entry
+    const stacks = []
+    const parts = Object.entries(fields).map(([key, value]) => {
+      if (value?.stack) {
+        stacks.push(value.stack)
+        return `${key}=${JSON.stringify(value.message)}`
+      }
+      const text = typeof value === 'string' ? value : JSON.stringify(value)
+      return `${key}=${/\s|"/.test(text) ? JSON.stringify(text) : text}`
+    })
+    let label = level.toUpperCase().padEnd(5)
+    if (this.colors) label = `\x1b[${COLORS[level]}m${label}\x1b[0m`
+    return (
+      [`${time} ${label} ${msg}`, ...parts].join(' ') +
+      stacks.map((stack) => `\n${stack}`).join('')
+    )
+  }
+}
+
+/**
+ * Create a logger from a logger option.
+ * @param {Logger|object|false} [options] - Logger instance, Logger options, or false for a silent logger.
+ * @returns {Logger} Logger.
+ */
+export function createLogger(options) {
+  if (options === false) return new Logger({ level: 'silent' })
+  if (options && typeof options.log === 'function') return options
+  return new Logger(options)
+}
+
+/**
+ * Structured logger.
+ * @type {Logger}
+ */
+export { Logger }
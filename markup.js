@@ -1,5 +1,5 @@
 /**
- * Markup utility for creating Discord message components (buttons, keyboards).
+ * Markup utility for creating Discord message components (buttons, select menus, keyboards).
  * @example
  * // Positional arguments:
  * Markup.button('Label', 'button', 'ID', 'PRIMARY')
@@ -7,8 +7,61 @@
  * // Object argument:
  * Markup.button({ label: 'Label', type: 'url', idOrUrl: 'https://example.com' })
  * Markup.button({ label: 'Label', idOrUrl: 'ID', style: 'SUCCESS' })
+ * // Select menus (each in its own keyboard row):
+ * Markup.stringSelect('COLOR', ['Red', 'Green'], { placeholder: 'Pick a color' })
+ * Markup.roleSelect({ customId: 'ROLES', max: 3 })
+ * // Modals:
+ * Markup.modal('PROFILE', 'Your profile', [
+ *   Markup.textInput('NAME', 'Name', { required: true }),
+ *   Markup.textInput('BIO', 'About you', { style: 'PARAGRAPH', max: 500 }),
+ * ])
  */
-import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js'
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ChannelSelectMenuBuilder,
+  ModalBuilder,
+  RoleSelectMenuBuilder,
+  StringSelectMenuBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  UserSelectMenuBuilder,
+} from 'discord.js'
+
+/**
+ * Internal: Read select menu arguments, given as (customId, [options], config) or ({ customId, ...config }).
+ * @param {Array} args - Arguments passed to a select menu builder.
+ * @param {boolean} withOptions - Whether the menu takes an options list (string select).
+ * @returns {object} Select menu config.
+ */
+function selectArgs(args, withOptions) {
+  if (args.length === 1 && typeof args[0] === 'object' && args[0] !== null) {
+    return args[0]
+  }
+  const [customId, ...rest] = args
+  if (withOptions) {
+    const [options = [], config = {}] = rest
+    return { ...config, customId, options }
+  }
+  return { ...(rest[0] || {}), customId }
+}
+
+/**
+ * Internal: Apply common select menu settings.
+ * @param {object} menu - Discord.js select menu builder.
+ * @param {object} config - Select menu config.
+ * @returns {object} The select menu builder.
+ */
+function applySelectConfig(menu, config) {
+  const { customId, placeholder, min, max, disabled } = config
+  menu.setCustomId(customId)
+  if (placeholder) menu.setPlaceholder(placeholder)
+  if (min !== undefined) menu.setMinValues(min)
+  if (max !== undefined) menu.setMaxValues(max)
+  if (disabled) menu.setDisabled(true)
+  return menu
+}
 
 /**
  * Utility class for building Discord message components.
@@ -50,9 +103,127 @@ class Markup {
     return button
   }
 
+  // stringSelect(customId, options, config) or stringSelect({ customId, options, ...config })
+  /**
+   * Create a string select menu (dropdown).
+   * @param {string|object} customId - Custom ID or options object.
+   * @param {Array<string|object>} [options=[]] - Choices, as strings or { label, value, description, emoji, default }.
+   * @param {object} [config={}] - Menu config ({ placeholder, min, max, disabled }).
+   * @returns {StringSelectMenuBuilder} Discord.js StringSelectMenuBuilder instance.
+   */
+  static stringSelect(...args) {
+    const config = selectArgs(args, true)
+    const menu = new StringSelectMenuBuilder().addOptions(
+      (config.options || []).map((option) =>
+        typeof option === 'string' ? { label: option, value: option } : option
+      )
+    )
+    return applySelectConfig(menu, config)
+  }
+
+  /**
+   * Create a user select menu.
+   * @param {string|object} customId - Custom ID or options object.
+   * @param {object} [config={}] - Menu config ({ placeholder, min, max, disabled }).
+   * @returns {UserSelectMenuBuilder} Discord.js UserSelectMenuBuilder instance.
+   */
+  static userSelect(...args) {
+    return applySelectConfig(new UserSelectMenuBuilder(), selectArgs(args))
+  }
+
+  /**
+   * Create a role select menu.
+   * @param {string|object} customId - Custom ID or options object.
+   * @param {object} [config={}] - Menu config ({ placeholder, min, max, disabled }).
+   * @returns {RoleSelectMenuBuilder} Discord.js RoleSelectMenuBuilder instance.
+   */
+  static roleSelect(...args) {
+    return applySelectConfig(new RoleSelectMenuBuilder(), selectArgs(args))
+  }
+
+  /**
+   * Create a channel select menu.
+   * @param {string|object} customId - Custom ID or options object.
+   * @param {object} [config={}] - Menu config ({ placeholder, min, max, disabled, channelTypes }).
+   * @returns {ChannelSelectMenuBuilder} Discord.js ChannelSelectMenuBuilder instance.
+   */
+  static channelSelect(...args) {
+    const config = selectArgs(args)
+    const menu = new ChannelSelectMenuBuilder()
+    if (config.channelTypes) menu.setChannelTypes(...config.channelTypes)
+    return applySelectConfig(menu, config)
+  }
+
+  // textInput(customId, label, config) or textInput({ customId, label, ...config })
+  /**
+   * Create a modal text input.
+   * @param {string|object} customId - Custom ID or options object.
+   * @param {string} [label] - Input label.
+   * @param {object} [config={}] - Input config.
+   * @param {string} [config.style='SHORT'] - 'SHORT' for a single line, 'PARAGRAPH' for multi-line.
+   * @param {boolean} [config.required=true] - Whether the input is required.
+   * @param {string} [config.placeholder] - Placeholder text.
+   * @param {string} [config.value] - Pre-filled value.
+   * @param {number} [config.min] - Minimum length.
+   * @param {number} [config.max] - Maximum length.
+   * @returns {TextInputBuilder} Discord.js TextInputBuilder instance.
+   */
+  static textInput(...args) {
+    let customId, label, config
+    if (args.length === 1 && typeof args[0] === 'object' && args[0] !== null) {
+      ;({ customId, label, ...config } = args[0])
+    } else {
+      ;[customId, label, config = {}] = args
+    }
+    const {
+      style = 'SHORT',
+      required = true,
+      placeholder,
+      value,
+      min,
+      max,
+    } = config
+    const input = new TextInputBuilder()
+      .setCustomId(customId)
+      .setLabel(label)
+      .setStyle(
+        style === 'PARAGRAPH' ? TextInputStyle.Paragraph : TextInputStyle.Short
+      )
+      .setRequired(required)
+    if (placeholder) input.setPlaceholder(placeholder)
+    if (value !== undefined) input.setValue(value)
+    if (min !== undefined) input.setMinLength(min)
+    if (max !== undefined) input.setMaxLength(max)
+    return input
+  }
+
+  // modal(customId, title, inputs) or modal({ customId, title, inputs })
+  /**
+   * Create a modal form. Show it with `ctx.showModal(modal)` and handle it with `bot.modal(customId, fn)`.
+   * @param {string|object} customId - Custom ID or options object.
+   * @param {string} [title] - Modal title.
+   * @param {Array<TextInputBuilder>} [inputs=[]] - Text inputs (up to 5), one per row.
+   * @returns {ModalBuilder} Discord.js ModalBuilder instance.
+   */
+  static modal(...args) {
+    let customId, title, inputs
+    if (args.length === 1 && typeof args[0] === 'object' && args[0] !== null) {
+      ;({ customId, title, inputs = [] } = args[0])
+    } else {
+      ;[customId, title, inputs = []] = args
+    }
+    return new ModalBuilder()
+      .setCustomId(customId)
+      .setTitle(title)
+      .addComponents(
+        ...inputs.map((input) => new ActionRowBuilder().addComponents(input))
+      )
+  }
+
   /**
-   * Create a Discord keyboard (array of button rows).
-   * @param {Array<Array<ButtonBuilder>>} buttonRows - Array of button rows.
+   * Create a Discord keyboard (array of component rows).
+   * A select menu must be the only component in its row.
+   * @param {Array<Array<ButtonBuilder|object>>} buttonRows - Array of button/select menu rows.
    * @returns {Array<ActionRowBuilder>|undefined} Array of ActionRowBuilder or undefined if no rows.
    */
   static keyboard(buttonRows = []) {
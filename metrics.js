@@ -0,0 +1,329 @@
+// DiscordBot metrics and health endpoint
+import http from 'http'
+import { Events, Status } from 'discord.js'
+
+/**
+ * Default latency histogram buckets, in seconds.
+ * @type {Array<number>}
+ */
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+]
+
+/**
+ * Internal: Format a label set as a Prometheus label string.
+ * @param {object} labels - Label values keyed by name.
+ * @returns {string} Label string, e.g. `{type="message"}` (empty without labels).
+ * @private
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  )
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Collects update, handler, error, session store and gateway metrics of a bot, and serves them in
+ * Prometheus text format (`/metrics`) and as a JSON health check (`/health`).
+ * @example
+ * const bot = new DiscordBot({ token, metrics: { port: 9090 } })
+ * // curl localhost:9090/metrics, curl localhost:9090/health
+ * @class
+ */
+class Metrics {
+  /**
+   * Create a new Metrics collector.
+   * @param {object} [options={}] - Metrics options.
+   * @param {number} [options.port] - Serve `/metrics` and `/health` on this port when the bot launches.
+   * @param {string} [options.host] - Host to listen on (default: all interfaces).
+   * @param {string} [options.prefix='discordbot_'] - Metric name prefix.
+   * @param {Array<number>} [options.buckets] - Latency histogram buckets in seconds.
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? null
+    this.host = options.host
+    this.prefix = options.prefix ?? 'discordbot_'
+    this.buckets = options.buckets || DEFAULT_BUCKETS
+    this.startedAt = Date.now()
+    this.bot = null
+    this.server = null
+    this.updates = new Map() // type -> count
+    this.errors = new Map() // label key -> { labels, value }
+    this.gatewayEvents = new Map() // event -> count
+    this.handlerLatency = new Map() // label key -> histogram
+    this.sessionLatency = new Map() // label key -> histogram
+  }
+
+  /**
+   * Attach the collector to a bot, whose client is read for the gateway status.
+   * @param {DiscordBot} bot - Bot instance.
+   * @returns {Metrics} This collector.
+   */
+  attach(bot) {
+    this.bot = bot
+    return this
+  }
+
+  /**
+   * Count gateway disconnects, reconnects and resumes of a client.
+   * @param {object} client - Discord.js client.
+   */
+  watchGateway(client) {
+    const count = (event) => () =>
+      this.gatewayEvents.set(event, (this.gatewayEvents.get(event) || 0) + 1)
+    client.on(Events.ShardDisconnect, count('disconnect'))
+    client.on(Events.ShardReconnecting, count('reconnect'))
+    client.on(Events.ShardResume, count('resume'))
+    client.on(Events.ShardError, count('error'))
+  }
+
+  /**
+   * Record a handled update.
+   * @param {string} type - Update type.
+   * @param {string|null} handler - Matched handler (`ctx.matched`).
+   * @param {number} seconds - Time spent in the middleware chain.
+   */
+  observeUpdate(type, handler, seconds) {
+    this.updates.set(type, (this.updates.get(type) || 0) + 1)
+    this._observe(
+      this.handlerLatency,
+      { type, handler: handler ?? 'none' },
+      seconds
+    )
+  }
+
+  /**
+   * Record a failed update.
+   * @param {string} type - Update type.
+   * @param {string|null} handler - Matched handler (`ctx.matched`).
+   */
+  observeError(type, handler) {
+    const labels = { type, handler: handler ?? 'none' }
+    const key = formatLabels(labels)
+    const entry = this.errors.get(key) || { labels, value: 0 }
+    entry.value++
+    this.errors.set(key, entry)
+  }
+
+  /**
+   * Record a session store call.
+   * @param {string} operation - 'get' or 'set'.
+   * @param {number} seconds - Call duration.
+   */
+  observeSession(operation, seconds) {
+    this._observe(this.sessionLatency, { operation }, seconds)
+  }
+
+  /**
+   * Internal: Add an observation to a histogram.
+   * @param {Map} histograms - Histograms keyed by label string.
+   * @param {object} labels - Histogram labels.
+   * @param {number} value - Observed value.
+   * @private
+   */
+  _observe(histograms, labels, value) {
+    const key = formatLabels(labels)
+    let histogram = histograms.get(key)
+    if (!histogram) {
+      histogram = {
+        labels,
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      }
+      histograms.set(key, histogram)
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) histogram.counts[i]++
+    })
+    histogram.sum += value
+    histogram.count++
+  }
+
+  /**
+   * Get the gateway status of the attached bot's client.
+   * @returns {{ready: boolean, status: string, ping: number|null}} Gateway status.
+   */
+  gateway() {
+    const client = this.bot?.client
+    if (!client) return { ready: false, status: 'Disconnected', ping: null }
+    const code = client.ws?.status
+    const ping = client.ws?.ping
+    return {
+      ready: Boolean(client.isReady?.()),
+      status: Status[code] ?? (client.isReady?.() ? 'Ready' : 'Idle'),
+      ping: ping >= 0 ? ping : null,
+    }
+  }
+
+  /**
+   * Get the health report: 'ok' while the gateway connection is ready, 'unavailable' otherwise.
+   * @returns {object} Health report ({ status, uptime, gateway, updates, errors }).
+   */
+  health() {
+    const gateway = this.gateway()
+    let errors = 0
+    for (const { value } of this.errors.values()) errors += value
+    return {
+      status: gateway.ready ? 'ok' : 'unavailable',
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      gateway,
+      updates: Object.fromEntries(this.updates),
+      errors,
+    }
+  }
+
+  /**
+   * Render all metrics in Prometheus text exposition format.
+   * @returns {string} Metrics text.
+   */
+  render() {
+    const p = this.prefix
+    const lines = []
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${p}${name} ${help}`, `# TYPE ${p}${name} ${type}`)
+      for (const [suffix, labels, value] of samples) {
+        lines.push(`${p}${name}${suffix}${formatLabels(labels)} ${value}`)
+      }
+    }
+    const histogramSamples = (histograms) =>
+      [...histograms.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...this.buckets.map((bound, i) => [
+          '_bucket',
+          { ...labels, le: bound },
+          counts[i],
+        ]),
+        ['_bucket', { ...labels, le: '+Inf' }, count],
+        ['_sum', labels, sum],
+        ['_count', labels, count],
+      ])
+    const gateway = this.gateway()
+
+    metric(
+      'updates_total',
+      'counter',
+      'Updates received, by update type.',
+      [...this.updates].map(([type, value]) => ['', { type }, value])
+    )
+    metric(
+      'handler_duration_seconds',
+      'histogram',
+      'Time spent handling updates, by update type and matched handler.',
+      histogramSamples(this.handlerLatency)
+    )
+    metric(
+      'handler_errors_total',
+      'counter',
+      'Updates that failed with an error, by update type and matched handler.',
+      [...this.errors.values()].map(({ labels, value }) => ['', labels, value])
+    )
+    metric(
+      'session_store_duration_seconds',
+      'histogram',
+      'Session store call latency, by operation.',
+      histogramSamples(this.sessionLatency)
+    )
+    metric(
+      'gateway_up',
+      'gauge',
+      'Whether the Discord gateway connection is ready.',
+      [['', {}, gateway.ready ? 1 : 0]]
+    )
+    if (gateway.ping !== null) {
+      metric(
+        'gateway_ping_seconds',
+        'gauge',
+        'Discord gateway heartbeat latency.',
+        [['', {}, gateway.ping / 1000]]
+      )
+    }
+    metric(
+      'gateway_events_total',
+      'counter',
+      'Gateway disconnects, reconnects, resumes and errors.',
+      [...this.gatewayEvents].map(([event, value]) => ['', { event }, value])
+    )
+    metric(
+      'uptime_seconds',
+      'gauge',
+      'Seconds since the metrics collector was created.',
+      [['', {}, (Date.now() - this.startedAt) / 1000]]
+    )
+    return `${lines.join('\n')}\n`
+  }
+
+  /**
+   * Get an HTTP request handler serving `/metrics` and `/health` (usable with http.createServer or Express).
+   * @returns {function(object, object, function=):void} Request handler.
+   */
+  handler() {
+    return (req, res, next) => {
+      const path = req.url.split('?')[0]
+      if (path === '/metrics') {
+        res.writeHead(200, {
+          'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        })
+        res.end(this.render())
+      } else if (path === '/health') {
+        const health = this.health()
+        res.writeHead(health.status === 'ok' ? 200 : 503, {
+          'Content-Type': 'application/json',
+        })
+        res.end(JSON.stringify(health))
+      } else if (next) {
+        next()
+      } else {
+        res.writeHead(404)
+        res.end()
+      }
+    }
+  }
+
+  /**
+   * Start the built-in HTTP server.
+   * @param {number} [port] - Port (default: the `port` option).
+   * @param {string} [host] - Host (default: the `host` option).
+   * @returns {Promise<object>} The listening http.Server.
+   */
+  listen(port = this.port, host = this.host) {
+    if (this.server) return Promise.resolve(this.server)
+    const server = http.createServer(this.handler())
+    this.server = server
+    return new Promise((resolve, reject) => {
+      server.once('error', (err) => {
+        this.server = null
+        reject(err)
+      })
+      server.listen(port ?? 0, host, () => resolve(server))
+    })
+  }
+
+  /**
+   * Stop the built-in HTTP server.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const server = this.server
+    if (!server) return
+    this.server = null
+    await new Promise((resolve) => server.close(() => resolve()))
+  }
+}
+
+/**
+ * Create a metrics collector from a metrics option.
+ * @param {Metrics|object|boolean} options - Metrics instance, Metrics options, or true for defaults.
+ * @returns {Metrics} Metrics collector.
+ */
+export function createMetrics(options) {
+  if (options instanceof Metrics) return options
+  return new Metrics(options === true ? {} : options)
+}
+
+/**
+ * Metrics collector.
+ * @type {Metrics}
+ */
+export { Metrics }
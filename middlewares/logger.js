@@ -1,10 +1,44 @@
+import { createLogger } from '../logger.js'
+
 /**
- * Logger middleware for DiscordBot. Logs each event (stub).
+ * Logger middleware for DiscordBot. Logs one entry per update with its type, user, guild, channel,
+ * matched handler (`ctx.matched`) and duration, and failed updates with the error and its stack trace.
+ * @example
+ * bot.use(logger()) // log through bot.logger
+ * bot.use(logger({ logger: { format: 'json', redact: ['token'] } })) // JSON lines including message text
+ * @param {object} [options={}] - Middleware options.
+ * @param {Logger|object} [options.logger] - Logger instance or Logger options (default: the bot's logger).
+ * @param {string} [options.level='info'] - Level of the entries of successful updates.
  * @returns {function(Context, function):Promise<void>} Middleware function.
  */
-export default function logger() {
+export default function logger(options = {}) {
+  const own = options.logger ? createLogger(options.logger) : null
+  const level = options.level || 'info'
   return async (ctx, next) => {
-    // Add logging logic here if needed
-    await next()
+    const log = own || ctx.bot.logger
+    const start = performance.now()
+    const text = ctx.text
+    const fields = () => ({
+      type: ctx.updateType,
+      user: ctx.from?.id,
+      guild: ctx.guildId,
+      channel: ctx.channelId,
+      handler: ctx.matched,
+      text,
+      durationMs: Math.round((performance.now() - start) * 10) / 10,
+    })
+    try {
+      await next()
+    } catch (err) {
+      log.error('Update failed', { ...fields(), error: err })
+      // The bot's error logging skips errors already logged here
+      ctx._errorLogged = err
+      throw err
+    }
+    log.log(
+      level,
+      ctx.handled ? 'Update handled' : 'Update not handled',
+      fields()
+    )
   }
 }
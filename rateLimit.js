@@ -0,0 +1,137 @@
+// DiscordBot cooldowns and rate limiting
+import { RateLimitedError } from './errors.js'
+import { resolveSessionKey } from './session.js'
+
+/**
+ * Sliding-window rate limiter. Allows `limit` hits per bucket within any `window` milliseconds.
+ * Buckets use the session key strategies ('user', 'channel', 'guild', 'user+channel', 'user+guild')
+ * or a custom key function.
+ * @class
+ */
+export class RateLimiter {
+  /**
+   * Create a new RateLimiter.
+   * @param {object} [options={}] - Limiter options.
+   * @param {number} [options.limit=1] - Hits allowed per window.
+   * @param {number} [options.window=1000] - Window length in milliseconds.
+   * @param {string|function(Context):string|null} [options.bucket='user'] - Bucket strategy or key function.
+   * @param {string|function(Context, number):string|false} [options.message] - Reply when limited; `{seconds}` is replaced
+   *   with the seconds left. A function gets the context and the milliseconds left. False to reply nothing.
+   * @param {boolean} [options.throw=false] - Throw a RateLimitedError (passed to the error handler) instead of replying.
+   */
+  constructor(options = {}) {
+    this.limit = options.limit ?? 1
+    this.window = options.window ?? 1000
+    this.bucket = resolveSessionKey(options.bucket || 'user')
+    this.message = options.message ?? 'Slow down! Try again in {seconds}s.'
+    this.throw = options.throw ?? false
+    this.hits = new Map()
+    this._lastSweep = Date.now()
+  }
+  /**
+   * Record a hit for a bucket key.
+   * @param {string} key - Bucket key.
+   * @returns {number} 0 if the hit is allowed, otherwise milliseconds until the next hit is allowed.
+   */
+  hit(key) {
+    const now = Date.now()
+    if (now - this._lastSweep > this.window) this._sweep(now)
+    const hits = (this.hits.get(key) || []).filter((t) => now - t < this.window)
+    if (hits.length >= this.limit) {
+      this.hits.set(key, hits)
+      return hits[0] + this.window - now
+    }
+    hits.push(now)
+    this.hits.set(key, hits)
+    return 0
+  }
+  /**
+   * Forget the hits of a bucket key.
+   * @param {string} key - Bucket key.
+   */
+  reset(key) {
+    this.hits.delete(key)
+  }
+  /**
+   * Internal: Drop buckets without hits in the current window.
+   * @param {number} now - Current time.
+   * @private
+   */
+  _sweep(now) {
+    this._lastSweep = now
+    for (const [key, hits] of this.hits) {
+      if (now - hits[hits.length - 1] >= this.window) this.hits.delete(key)
+    }
+  }
+  /**
+   * Record a hit for the context's bucket and reply with the limit message if it is limited.
+   * Updates without a bucket key (e.g. no user) are never limited.
+   * @param {Context} ctx - Bot context.
+   * @returns {Promise<boolean>} True if the update may proceed.
+   * @throws {RateLimitedError} If the update is limited and the limiter is in throw mode.
+   */
+  async consume(ctx) {
+    const key = this.bucket(ctx)
+    if (key === null || key === undefined) return true
+    const retryAfter = this.hit(key)
+    if (!retryAfter) return true
+    if (this.throw) throw new RateLimitedError(retryAfter, key)
+    const message =
+      typeof this.message === 'function'
+        ? this.message(ctx, retryAfter)
+        : this.message &&
+          this.message.replace('{seconds}', Math.ceil(retryAfter / 1000))
+    if (message) await ctx.replyEphemeral(message)
+    return false
+  }
+}
+
+/**
+ * Create a rate limiter from a cooldown option.
+ * @param {number|object} cooldown - Cooldown in milliseconds (one use per window), or RateLimiter options.
+ * @returns {RateLimiter} Rate limiter.
+ */
+export function createRateLimiter(cooldown) {
+  if (cooldown instanceof RateLimiter) return cooldown
+  return typeof cooldown === 'number'
+    ? new RateLimiter({ window: cooldown })
+    : new RateLimiter(cooldown)
+}
+
+/**
+ * Internal: Get the update types an update counts as for the `types` filter. Prefixed text commands
+ * (messages starting with / or !) count as both 'message' and 'command'.
+ * @param {Context} ctx - Bot context.
+ * @returns {Array<string>} Update types.
+ * @private
+ */
+function updateTypes(ctx) {
+  if (ctx.updateType === 'message' && /^[/!]/.test(ctx.event?.content || '')) {
+    return ['message', 'command']
+  }
+  return [ctx.updateType]
+}
+
+/**
+ * Rate limit middleware for DiscordBot. Limited updates are answered with the limit message and not dispatched.
+ * @example
+ * bot.use(rateLimit({ limit: 5, window: 10 * 1000 })) // 5 updates per user per 10 seconds
+ * @param {number|object} [options={}] - Cooldown in milliseconds, or RateLimiter options.
+ * @param {Array<string>} [options.types] - Only limit these update types (e.g. ['command', 'action']; default: all).
+ *   'command' covers slash commands and prefixed text commands (which also count as 'message').
+ * @returns {function(Context, function):Promise<void>} Middleware function.
+ */
+export function rateLimit(options = {}) {
+  const limiter = createRateLimiter(options)
+  const types = typeof options === 'object' ? options.types : undefined
+  return async (ctx, next) => {
+    if (types && !updateTypes(ctx).some((type) => types.includes(type))) {
+      return next()
+    }
+    if (!(await limiter.consume(ctx))) {
+      ctx.handled = true
+      return
+    }
+    await next()
+  }
+}
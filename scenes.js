@@ -1,54 +1,473 @@
+/**
+ * Component update types. They are passed to the current scene step only if the step accepts them.
+ * @type {Array<string>}
+ */
+const COMPONENT_INPUT = ['action', 'select', 'modal']
+
+/**
+ * Whether an update carries attachments (a Discord.js Collection or an array).
+ * @param {Context} ctx - Bot context.
+ * @returns {boolean}
+ */
+function hasAttachments(ctx) {
+  return Boolean(ctx.attachments?.size ?? ctx.attachments?.length)
+}
+
+/**
+ * Test whether text matches any of the given string or RegExp patterns.
+ * @param {Array<string|RegExp>} patterns - Patterns to match.
+ * @param {string} text - Text to test.
+ * @returns {boolean} True if a pattern matches.
+ */
+function matches(patterns, text) {
+  if (!text) return false
+  return patterns.some(
+    (pattern) =>
+      (typeof pattern === 'string' && text === pattern) ||
+      (pattern instanceof RegExp && pattern.test(text))
+  )
+}
+
+/**
+ * Get the active scene frame ({ name, step, state }) stored in a session.
+ * Sessions saved by older versions (`__scene` name and top-level `step`) are migrated in place.
+ * @param {object} session - Session object.
+ * @returns {object|null} Scene frame, or null if no scene is active.
+ */
+function getFrame(session) {
+  const frame = session?.__scene
+  if (typeof frame === 'string') {
+    session.__scene = {
+      name: frame,
+      step: typeof session.step === 'number' ? session.step : 0,
+      state: {},
+    }
+    delete session.step
+  }
+  return session?.__scene || null
+}
+
+/**
+ * Scene controller attached to `ctx.scene`. Enters and leaves scenes by name and
+ * keeps a stack of parent scenes, so a scene can run a sub-scene and get its result back.
+ * @class
+ */
+class SceneContext {
+  /**
+   * Create a new SceneContext.
+   * @param {Context} ctx - Bot context.
+   * @param {SceneManager|null} [manager=null] - Scene manager used to look up scenes by name.
+   */
+  constructor(ctx, manager = null) {
+    this.ctx = ctx
+    this.manager = manager
+    this.known = {} // scenes used directly through Scene methods
+    this.result = undefined // result of the sub-scene that just returned
+  }
+  /**
+   * Internal: Find a scene by name.
+   * @param {string} name - Scene name.
+   * @returns {Scene|null} Scene instance, or null if unknown.
+   * @private
+   */
+  _resolve(name) {
+    return this.manager?.scenes[name] || this.known[name] || null
+  }
+  /**
+   * The active scene, or null if none.
+   * @type {Scene|null}
+   */
+  get current() {
+    const frame = getFrame(this.ctx.session)
+    return frame ? this._resolve(frame.name) : null
+  }
+  /**
+   * Parent scene frames ({ name, step, state }) waiting for sub-scenes to return, innermost last.
+   * @type {Array<object>}
+   */
+  get stack() {
+    return this.ctx.session?.__sceneStack || []
+  }
+  /**
+   * Scene-scoped state. Kept apart from the rest of the session and cleared when the scene is left.
+   * @type {object}
+   */
+  get state() {
+    const frame = getFrame(this.ctx.session)
+    if (!frame) return {}
+    if (!frame.state) frame.state = {}
+    return frame.state
+  }
+  set state(value) {
+    const frame = getFrame(this.ctx.session)
+    if (frame) frame.state = value
+  }
+  /**
+   * Enter a scene by name, replacing the active one.
+   * @param {string} name - Scene name.
+   * @param {object} [initialState={}] - Initial scene state.
+   * @returns {Promise<void>}
+   */
+  async enter(name, initialState = {}) {
+    await this._get(name).enter(this.ctx, initialState)
+  }
+  /**
+   * Enter a sub-scene by name. The active scene is suspended until the sub-scene leaves;
+   * it then resumes at its next step, with the sub-scene's result in `ctx.scene.result`.
+   * @param {string} name - Scene name.
+   * @param {object} [initialState={}] - Initial scene state.
+   * @returns {Promise<void>}
+   */
+  async push(name, initialState = {}) {
+    await this._get(name).enter(this.ctx, initialState, { push: true })
+  }
+  /**
+   * Leave the active scene. Inside a sub-scene, returns to the parent scene with a result.
+   * @param {*} [result] - Result passed back to the parent scene.
+   * @returns {Promise<void>}
+   */
+  async leave(result) {
+    const scene = this.current
+    if (scene) await scene.leave(this.ctx, result)
+  }
+  /**
+   * Leave the active scene and every parent scene on the stack.
+   * @returns {Promise<void>}
+   */
+  async leaveAll() {
+    if (this.ctx.session) delete this.ctx.session.__sceneStack
+    await this.leave()
+  }
+  /**
+   * Restart the active scene from its first step, keeping its state.
+   * @returns {Promise<void>}
+   */
+  async reenter() {
+    const scene = this.current
+    if (scene) await scene.enter(this.ctx, this.state)
+  }
+  /**
+   * Internal: Find a scene by name or throw.
+   * @param {string} name - Scene name.
+   * @returns {Scene} Scene instance.
+   * @private
+   */
+  _get(name) {
+    const scene = this._resolve(name)
+    if (!scene) throw new Error(`Unknown scene "${name}"`)
+    return scene
+  }
+}
+
+/**
+ * Get the scene controller of a context, attaching one if needed.
+ * @param {Context} ctx - Bot context.
+ * @param {Scene} [scene] - Scene to make known to the controller.
+ * @returns {SceneContext} Scene controller.
+ */
+function sceneContext(ctx, scene) {
+  if (!(ctx.scene instanceof SceneContext)) ctx.scene = new SceneContext(ctx)
+  if (scene && !ctx.scene._resolve(scene.name))
+    ctx.scene.known[scene.name] = scene
+  return ctx.scene
+}
+
+/**
+ * Wizard controller attached to `ctx.wizard` while a scene is active.
+ * Moving the cursor selects the step that handles the next input.
+ * @class
+ */
+class WizardContext {
+  /**
+   * Create a new WizardContext.
+   * @param {Context} ctx - Bot context.
+   * @param {Scene} scene - Active scene.
+   */
+  constructor(ctx, scene) {
+    this.ctx = ctx
+    this.scene = scene
+    this.moved = false
+  }
+  /**
+   * Index of the current step.
+   * @type {number}
+   */
+  get cursor() {
+    return getFrame(this.ctx.session)?.step ?? 0
+  }
+  /**
+   * Name of the current step, or null if it is unnamed.
+   * @type {string|null}
+   */
+  get stepName() {
+    return this.scene.stepNames[this.cursor] ?? null
+  }
+  /**
+   * Move to the next step.
+   * @returns {WizardContext} This wizard.
+   */
+  next() {
+    return this.selectStep(this.cursor + 1)
+  }
+  /**
+   * Move back to the previous step.
+   * @returns {WizardContext} This wizard.
+   */
+  back() {
+    return this.selectStep(Math.max(this.cursor - 1, 0))
+  }
+  /**
+   * Move to a step by name or index.
+   * @param {string|number} nameOrIndex - Step name or index.
+   * @returns {WizardContext} This wizard.
+   */
+  selectStep(nameOrIndex) {
+    const index =
+      typeof nameOrIndex === 'number'
+        ? nameOrIndex
+        : this.scene.stepNames.indexOf(nameOrIndex)
+    if (index < 0 || index > this.scene.steps.length) {
+      throw new Error(
+        `Unknown step "${nameOrIndex}" in scene "${this.scene.name}"`
+      )
+    }
+    getFrame(this.ctx.session).step = index
+    this.moved = true
+    return this
+  }
+}
+
 /**
  * Represents a multi-step scene for user flows (e.g. registration).
+ * Steps run one per user input; a step that returns false is repeated on the next input.
  * @class
  */
 class Scene {
   /**
    * Create a new Scene.
    * @param {string} name - Scene name.
-   * @param {Array<function(Context):Promise<void>>} steps - Array of step handler functions.
+   * @param {Array<function(Context):Promise<void>|{name: string, handler: function(Context):Promise<void>, components: boolean|function(Context):boolean}>} steps - Step handler functions,
+   *   optionally named. A step takes button, select menu and modal updates as input only with `components: true`
+   *   (or a filter function); other component updates go to the bot's handlers.
+   * @param {object} [options={}] - Scene options.
+   * @param {number} [options.ttl] - Leave the scene after this many milliseconds without input (overrides the SceneManager default).
+   * @param {string} [options.timeoutMessage] - Message sent when the scene timed out (overrides the SceneManager default).
    */
-  constructor(name, steps) {
+  constructor(name, steps, options = {}) {
     this.name = name
-    this.steps = steps
+    this.ttl = options.ttl
+    this.timeoutMessage = options.timeoutMessage
+    this.steps = steps.map((step) =>
+      typeof step === 'function' ? step : step.handler
+    )
+    this.stepNames = steps.map((step) =>
+      typeof step === 'function' ? null : step.name
+    )
+    this.stepComponents = steps.map((step) =>
+      typeof step === 'function'
+        ? (step.components ?? false)
+        : (step.components ?? step.handler.components ?? false)
+    )
+    this.enterHandlers = []
+    this.leaveHandlers = []
+    this.handlers = { command: [], hears: [], action: [] }
+  }
+  /**
+   * Create a step that waits for a modal submit, repeating until one with the given custom ID arrives.
+   * The submitted fields are available as `ctx.fields`; other component updates go to the bot's handlers.
+   * @param {string} customId - Modal custom ID to wait for.
+   * @param {function(Context):Promise<void|boolean>} fn - Step handler, called with the modal submit.
+   * @returns {function(Context):Promise<void|boolean>} Step handler function.
+   */
+  static waitForModal(customId, fn) {
+    const isSubmit = (ctx) =>
+      ctx.updateType === 'modal' && ctx.payload === customId
+    const step = async (ctx) => (isSubmit(ctx) ? fn(ctx) : false)
+    step.components = isSubmit
+    return step
+  }
+  /**
+   * Register a hook that runs when the scene is entered, before the first step.
+   * @param {function(Context):Promise<void>} fn - Hook function.
+   * @returns {Scene} This scene.
+   */
+  onEnter(fn) {
+    this.enterHandlers.push(fn)
+    return this
+  }
+  /**
+   * Register a hook that runs when the scene is left.
+   * @param {function(Context):Promise<void>} fn - Hook function.
+   * @returns {Scene} This scene.
+   */
+  onLeave(fn) {
+    this.leaveHandlers.push(fn)
+    return this
+  }
+  /**
+   * Register a command handler that only fires inside this scene, instead of the current step.
+   * @param {string|RegExp|Array} cmds - Command(s) to match (e.g. 'cancel' matches /cancel and !cancel).
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   * @returns {Scene} This scene.
+   */
+  command(cmds, fn) {
+    const arr = (Array.isArray(cmds) ? cmds : [cmds]).map((cmd) =>
+      typeof cmd === 'string' ? cmd.replace(/^[/!]/, '') : cmd
+    )
+    this.handlers.command.push({ patterns: arr, fn })
+    return this
+  }
+  /**
+   * Register a message pattern handler that only fires inside this scene, instead of the current step.
+   * @param {string|RegExp|Array} patterns - Patterns to match.
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   * @returns {Scene} This scene.
+   */
+  hears(patterns, fn) {
+    const arr = Array.isArray(patterns) ? patterns : [patterns]
+    this.handlers.hears.push({ patterns: arr, fn })
+    return this
+  }
+  /**
+   * Register an action (button) handler that only fires inside this scene.
+   * @param {string|RegExp|Array} actionIdOrArray - Action(s) to match.
+   * @param {function(Context):Promise<void>} fn - Handler function.
+   * @returns {Scene} This scene.
+   */
+  action(actionIdOrArray, fn) {
+    const arr = Array.isArray(actionIdOrArray)
+      ? actionIdOrArray
+      : [actionIdOrArray]
+    this.handlers.action.push({ patterns: arr, fn })
+    return this
   }
   /**
    * Enter the scene and start at step 0.
    * @param {Context} ctx - Bot context.
+   * @param {object} [initialState={}] - Initial scene state (`ctx.scene.state`).
+   * @param {object} [options={}] - Enter options.
+   * @param {boolean} [options.push=false] - Suspend the active scene and return to it when this one leaves.
    * @returns {Promise<void>}
    */
-  async enter(ctx) {
-    ctx.session.__scene = this.name
-    ctx.session.step = 0
-    ctx.scene = this
-    await this.handle(ctx)
+  async enter(ctx, initialState = {}, { push = false } = {}) {
+    const parent = getFrame(ctx.session)
+    if (push && parent) {
+      ctx.session.__sceneStack = [...(ctx.session.__sceneStack || []), parent]
+    }
+    ctx.session.__scene = {
+      name: this.name,
+      step: 0,
+      state: { ...initialState },
+      updatedAt: Date.now(),
+    }
+    sceneContext(ctx, this)
+    ctx.wizard = new WizardContext(ctx, this)
+    ctx._sceneStopped = false
+    for (const fn of this.enterHandlers) await fn(ctx)
+    await this.handle(ctx, true)
   }
   /**
-   * Leave the scene and clear session data.
+   * Leave the scene and clear its state. The rest of the session is kept.
+   * If the scene was entered as a sub-scene, the parent scene resumes at its next step
+   * with `result` in `ctx.scene.result`.
    * @param {Context} ctx - Bot context.
+   * @param {*} [result] - Result passed back to the parent scene.
    * @returns {Promise<void>}
    */
-  async leave(ctx) {
-    Object.keys(ctx.session).forEach((k) => {
-      delete ctx.session[k]
-    })
-    ctx.scene = null
+  async leave(ctx, result) {
+    for (const fn of this.leaveHandlers) await fn(ctx)
+    getFrame(ctx.session) // migrate sessions saved by older versions
+    delete ctx.session.__scene
+    ctx.wizard = null
     ctx._sceneStopped = true
+
+    const stack = ctx.session.__sceneStack
+    if (!stack?.length) {
+      delete ctx.session.__sceneStack
+      return
+    }
+    ctx.session.__scene = stack.pop()
+    if (!stack.length) delete ctx.session.__sceneStack
+    const controller = sceneContext(ctx)
+    const parent = controller.current
+    if (!parent) return
+    ctx._sceneStopped = false
+    controller.result = result
+    await parent.handle(ctx, true)
+    controller.result = undefined
+  }
+  /**
+   * Run the first scene-level handler matching the update, if any.
+   * @param {Context} ctx - Bot context.
+   * @returns {Promise<boolean>} True if a scene handler ran.
+   */
+  async handleSceneUpdate(ctx) {
+    let entry
+    if (ctx.updateType === 'action') {
+      entry = this.handlers.action.find((h) => matches(h.patterns, ctx.payload))
+    } else if (ctx.updateType === 'message' && ctx.text) {
+      const isCommand = /^[/!]/.test(ctx.text)
+      const name = ctx.text.slice(1).split(' ')[0]
+      entry =
+        (isCommand &&
+          this.handlers.command.find(
+            (h) => matches(h.patterns, name) || matches(h.patterns, ctx.text)
+          )) ||
+        this.handlers.hears.find((h) => matches(h.patterns, ctx.text))
+    }
+    if (!entry) return false
+    sceneContext(ctx, this)
+    ctx.wizard = new WizardContext(ctx, this)
+    await entry.fn(ctx)
+    ctx.handled = true
+    return true
+  }
+  /**
+   * Whether the current step takes a button press, select menu or modal submit as input.
+   * @param {Context} ctx - Bot context.
+   * @returns {boolean}
+   */
+  acceptsComponent(ctx) {
+    if (!COMPONENT_INPUT.includes(ctx.updateType)) return false
+    const accepts = this.stepComponents[getFrame(ctx.session)?.step ?? 0]
+    return Boolean(typeof accepts === 'function' ? accepts(ctx) : accepts)
   }
   /**
    * Handle the current scene step.
    * @param {Context} ctx - Bot context.
+   * @param {boolean} [entering=false] - Whether the step runs on scene entry (it then always advances).
    * @returns {Promise<void>}
    */
-  async handle(ctx) {
-    let step = typeof ctx.session.step === 'number' ? ctx.session.step : 0
+  async handle(ctx, entering = false) {
+    if (!entering && (await this.handleSceneUpdate(ctx))) return
+    const wizard = new WizardContext(ctx, this)
+    const frame = getFrame(ctx.session)
+    frame.updatedAt = Date.now()
+    sceneContext(ctx, this)
+    ctx.wizard = wizard
+    const step = wizard.cursor
     if (step < this.steps.length) {
-      const prevStep = step
+      // Text and file uploads answer a step; component updates only if the step accepts them
+      const answered =
+        entering ||
+        Boolean(ctx.text) ||
+        (ctx.updateType === 'message' && hasAttachments(ctx)) ||
+        this.acceptsComponent(ctx)
       const result = await this.steps[step](ctx)
       // Mark as handled if a scene step was processed
       ctx.handled = true
-      if (ctx.session.step === prevStep && ctx.text && result !== false) {
-        ctx.session.step++
+      // A step that started a sub-scene still advances, so its parent resumes at the next step
+      const stack = ctx.session.__sceneStack
+      const active =
+        ctx.session.__scene === frame || stack?.[stack.length - 1] === frame
+      if (
+        !wizard.moved &&
+        active &&
+        frame.step === step &&
+        answered &&
+        result !== false
+      ) {
+        frame.step = step + 1
       }
     } else {
       await this.leave(ctx)
@@ -64,9 +483,18 @@ class Scene {
 class SceneManager {
   /**
    * Create a new SceneManager.
+   * @param {object} [options={}] - Manager options.
+   * @param {number} [options.ttl] - Leave scenes after this many milliseconds without input (default: never).
+   * @param {string} [options.timeoutMessage] - Message sent when a scene timed out.
+   * @param {Array<string|RegExp>} [options.cancel=[]] - Messages that leave the active scene (and its parents) before any step runs, e.g. ['/cancel', 'cancel'].
+   * @param {string} [options.cancelMessage='Cancelled.'] - Reply sent when a scene is cancelled (empty to send nothing).
    */
-  constructor() {
+  constructor(options = {}) {
     this.scenes = {}
+    this.ttl = options.ttl
+    this.timeoutMessage = options.timeoutMessage
+    this.cancel = options.cancel || []
+    this.cancelMessage = options.cancelMessage ?? 'Cancelled.'
   }
   /**
    * Register a scene.
@@ -76,18 +504,69 @@ class SceneManager {
     this.scenes[scene.name] = scene
   }
   /**
-   * Get scene middleware for use in bot.
+   * Internal: Whether the active scene has been inactive for longer than its TTL.
+   * Frames without an activity time (saved by older versions) count as expired.
+   * @param {Scene} scene - Active scene.
+   * @param {object} frame - Active scene frame.
+   * @returns {boolean}
+   * @private
+   */
+  _isExpired(scene, frame) {
+    const ttl = scene.ttl ?? this.ttl
+    if (!ttl) return false
+    return !frame.updatedAt || Date.now() - frame.updatedAt > ttl
+  }
+  /**
+   * Internal: Whether a message is one of the cancel keywords (strings match case-insensitively).
+   * @param {string} text - Message text.
+   * @returns {boolean}
+   * @private
+   */
+  _isCancel(text) {
+    if (!text) return false
+    const trimmed = text.trim()
+    return this.cancel.some((pattern) =>
+      typeof pattern === 'string'
+        ? trimmed.toLowerCase() === pattern.toLowerCase()
+        : pattern.test(trimmed)
+    )
+  }
+  /**
+   * Get scene middleware for use in bot. Attaches the `ctx.scene` controller to every update.
+   * Expired scenes are left and cancel keywords handled before any step runs.
    * @returns {function(Context, function):Promise<void>} Middleware function.
    */
   middleware() {
     return async (ctx, next) => {
-      const sceneName = ctx.session?.__scene
-      let handled = false
-      if (sceneName && this.scenes[sceneName] && !ctx._sceneStopped) {
-        await this.scenes[sceneName].handle(ctx)
-        handled = true
+      ctx.scene = new SceneContext(ctx, this)
+      let scene = ctx.scene.current
+      if (scene && this._isExpired(scene, getFrame(ctx.session))) {
+        // Only tell the user about the timeout when they answered the scene; member
+        // and reaction events would post it elsewhere (e.g. the system channel)
+        const input =
+          ctx.updateType === 'message' || scene.acceptsComponent(ctx)
+        await ctx.scene.leaveAll()
+        const message = scene.timeoutMessage ?? this.timeoutMessage
+        if (message && input) await ctx.reply(message)
+        scene = null
+      }
+      if (scene && ctx.updateType === 'message' && this._isCancel(ctx.text)) {
+        await ctx.scene.leaveAll()
+        if (this.cancelMessage) await ctx.reply(this.cancelMessage)
+        ctx.handled = true
+        return
+      }
+      if (scene && !ctx._sceneStopped) {
+        // Messages are scene step input, and so are component updates the current step accepts;
+        // other updates pass through unless a scene-level handler matches them
+        if (ctx.updateType === 'message' || scene.acceptsComponent(ctx)) {
+          ctx.matched = `scene:${scene.name}`
+          await scene.handle(ctx)
+          return
+        }
+        if (await scene.handleSceneUpdate(ctx)) return
       }
-      if (!handled) await next()
+      await next()
     }
   }
 }
@@ -96,4 +575,4 @@ class SceneManager {
  * Scene and SceneManager for multi-step user flows.
  * @type {Scene}
  */
-export { Scene, SceneManager }
+export { Scene, SceneContext, SceneManager }
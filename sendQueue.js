@@ -0,0 +1,179 @@
+// DiscordBot outgoing message queue
+
+// Network errors raised before the request reached Discord
+const UNSENT_CODES = ['ECONNREFUSED', 'EAI_AGAIN']
+
+/**
+ * Whether a send error is safe to retry: only errors for requests Discord never processed, i.e.
+ * a surfaced rate limit or a connection that could not be opened. Timeouts and server errors are not
+ * retried, as the message may have been created anyway (discord.js already retries those itself).
+ * @param {Error} err - Send error.
+ * @returns {boolean}
+ */
+export function isRetryable(err) {
+  if (!err) return false
+  if (err.name === 'RateLimitError' || err.status === 429) return true
+  return UNSENT_CODES.includes(err.code ?? err.cause?.code)
+}
+
+/**
+ * Get the delay Discord asked for before retrying a rate limited request.
+ * @param {Error} err - Send error.
+ * @returns {number|null} Delay in milliseconds, or null if the error does not say.
+ */
+export function retryAfter(err) {
+  if (typeof err?.retryAfter === 'number') return err.retryAfter
+  const seconds = err?.rawError?.retry_after
+  return typeof seconds === 'number' ? seconds * 1000 : null
+}
+
+/**
+ * Outgoing message queue. Sends are queued per channel and run in order, with a per-channel and a
+ * global concurrency limit. Sends failing with a rate limit or a connection error (see isRetryable)
+ * are retried with exponential backoff (or after the delay Discord asks for).
+ * @example
+ * const queue = new SendQueue({ retries: 5 })
+ * await queue.push(channel.id, () => channel.send('Hello'))
+ * @class
+ */
+class SendQueue {
+  /**
+   * Create a new SendQueue.
+   * @param {object} [options={}] - Queue options.
+   * @param {number} [options.concurrency=1] - Sends running at once per channel (1 keeps messages in order).
+   * @param {number} [options.globalConcurrency=10] - Sends running at once across all channels.
+   * @param {number} [options.retries=3] - Retries of a failed send.
+   * @param {number} [options.retryDelay=500] - First backoff delay in milliseconds, doubled on every retry.
+   * @param {number} [options.maxRetryDelay=30000] - Longest delay between retries in milliseconds.
+   * @param {Logger} [options.logger] - Logger for retry warnings.
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency ?? 1
+    this.globalConcurrency = options.globalConcurrency ?? 10
+    this.retries = options.retries ?? 3
+    this.retryDelay = options.retryDelay ?? 500
+    this.maxRetryDelay = options.maxRetryDelay ?? 30 * 1000
+    this.logger = options.logger || null
+    this.channels = new Map() // channel ID -> { active, jobs }
+    this.active = 0
+    this._idle = []
+  }
+
+  /**
+   * Number of sends waiting or running.
+   * @type {number}
+   */
+  get size() {
+    let size = 0
+    for (const queue of this.channels.values()) {
+      size += queue.active + queue.jobs.length
+    }
+    return size
+  }
+
+  /**
+   * Queue a send for a channel.
+   * @param {string} channelId - Channel ID (the queue key).
+   * @param {function():Promise<*>} task - Function performing the send; called again on retries.
+   * @returns {Promise<*>} Result of the task, or its last error.
+   */
+  push(channelId, task) {
+    return new Promise((resolve, reject) => {
+      let queue = this.channels.get(channelId)
+      if (!queue) {
+        queue = { active: 0, jobs: [] }
+        this.channels.set(channelId, queue)
+      }
+      queue.jobs.push({ channelId, task, resolve, reject })
+      this._drain()
+    })
+  }
+
+  /**
+   * Wait until all queued sends are done.
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (!this.channels.size) return Promise.resolve()
+    return new Promise((resolve) => this._idle.push(resolve))
+  }
+
+  /**
+   * Internal: Start queued sends while the concurrency limits allow.
+   * @private
+   */
+  _drain() {
+    for (const [channelId, queue] of this.channels) {
+      while (
+        this.active < this.globalConcurrency &&
+        queue.active < this.concurrency &&
+        queue.jobs.length
+      ) {
+        const job = queue.jobs.shift()
+        queue.active++
+        this.active++
+        this._run(job).finally(() => {
+          queue.active--
+          this.active--
+          if (!queue.active && !queue.jobs.length) {
+            this.channels.delete(channelId)
+          }
+          this._drain()
+        })
+      }
+      if (this.active >= this.globalConcurrency) return
+    }
+    if (!this.channels.size) {
+      for (const resolve of this._idle.splice(0)) resolve()
+    }
+  }
+
+  /**
+   * Internal: Run a send, retrying rate limited and transient failures.
+   * @param {object} job - Queued job.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _run(job) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        job.resolve(await job.task())
+        return
+      } catch (err) {
+        if (attempt >= this.retries || !isRetryable(err)) {
+          job.reject(err)
+          return
+        }
+        const delay = Math.min(
+          retryAfter(err) ?? this.retryDelay * 2 ** attempt,
+          this.maxRetryDelay
+        )
+        this.logger?.warn('Send failed, retrying', {
+          channel: job.channelId,
+          attempt: attempt + 1,
+          delayMs: delay,
+          error: err.message,
+        })
+        await new Promise((resolve) => setTimeout(resolve, delay))
+      }
+    }
+  }
+}
+
+/**
+ * Create a send queue from a send queue option.
+ * @param {SendQueue|object|false} [options] - SendQueue instance, SendQueue options, or false to send directly.
+ * @param {Logger} [logger] - Logger for retry warnings (unless the options set one).
+ * @returns {SendQueue|null} Send queue, or null if disabled.
+ */
+export function createSendQueue(options, logger) {
+  if (options === false) return null
+  if (options instanceof SendQueue) return options
+  return new SendQueue({ logger, ...options })
+}
+
+/**
+ * Outgoing message queue.
+ * @type {SendQueue}
+ */
+export { SendQueue }
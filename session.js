@@ -1,6 +1,44 @@
 // DiscordBot session middleware and stores
 import fs from 'fs'
 
+/**
+ * Whether a session has no data (empty sessions are not persisted unless `persistEmpty` is set).
+ * @param {object} session - Session object.
+ * @returns {boolean}
+ */
+function isEmpty(session) {
+  return !session || Object.keys(session).length === 0
+}
+
+/**
+ * Log a store error through the store's logger, or the console if it has none.
+ * @param {object} store - Session store with an optional `logger`.
+ * @param {string} message - Message.
+ * @param {object} fields - Structured fields (`error` holds the error).
+ */
+function logError(store, message, fields) {
+  if (store.logger) store.logger.error(message, fields)
+  else console.error(message, fields)
+}
+
+/**
+ * Start a timer that periodically deletes the expired sessions of a store.
+ * @param {object} store - Session store with a `sweep()` method and optional `ttl`.
+ * @param {number} [interval] - Sweep interval in milliseconds (default: every minute if the store has a TTL; 0 to disable).
+ * @returns {object|null} Interval timer, or null if sweeping is disabled.
+ */
+function startSweeper(store, interval) {
+  const ms = interval ?? (store.ttl ? 60 * 1000 : 0)
+  if (!ms) return null
+  const timer = setInterval(() => {
+    store
+      .sweep()
+      .catch((error) => logError(store, 'Session sweep failed', { error }))
+  }, ms)
+  timer.unref?.()
+  return timer
+}
+
 /**
  * In-memory session store for DiscordBot.
  * @class
@@ -8,9 +46,28 @@ import fs from 'fs'
 class MemorySessionStore {
   /**
    * Create a new MemorySessionStore.
+   * @param {object} [options={}] - Store options.
+   * @param {number} [options.ttl] - Expire sessions this many milliseconds after they were last set (default: never).
+   * @param {number} [options.sweepInterval] - How often expired sessions are deleted (default: every minute if `ttl` is set).
+   * @param {boolean} [options.persistEmpty=false] - Keep empty sessions instead of deleting them.
+   * @param {Logger} [options.logger] - Logger for store errors (default: the console; the bot sets its own logger).
    */
-  constructor() {
+  constructor(options = {}) {
     this.sessions = {}
+    this.expiresAt = {}
+    this.ttl = options.ttl
+    this.persistEmpty = options.persistEmpty ?? false
+    this.logger = options.logger || null
+    this._sweeper = startSweeper(this, options.sweepInterval)
+  }
+  /**
+   * Internal: Whether a stored session has expired.
+   * @param {string} id - Session key.
+   * @returns {boolean}
+   * @private
+   */
+  _isExpired(id) {
+    return this.expiresAt[id] !== undefined && this.expiresAt[id] <= Date.now()
   }
   /**
    * Get session data for a user.
@@ -18,6 +75,7 @@ class MemorySessionStore {
    * @returns {Promise<object>} Session object.
    */
   async get(id) {
+    if (this._isExpired(id)) await this.clear(id)
     return this.sessions[id] || {}
   }
   /**
@@ -27,7 +85,9 @@ class MemorySessionStore {
    * @returns {Promise<void>}
    */
   async set(id, session) {
+    if (isEmpty(session) && !this.persistEmpty) return this.clear(id)
     this.sessions[id] = session
+    if (this.ttl) this.expiresAt[id] = Date.now() + this.ttl
   }
   /**
    * Clear session data for a user.
@@ -36,36 +96,180 @@ class MemorySessionStore {
    */
   async clear(id) {
     delete this.sessions[id]
+    delete this.expiresAt[id]
+  }
+  /**
+   * List the keys of all sessions that have not expired.
+   * @returns {Promise<Array<string>>} Session keys.
+   */
+  async keys() {
+    return Object.keys(this.sessions).filter((id) => !this._isExpired(id))
+  }
+  /**
+   * List all sessions that have not expired.
+   * @returns {Promise<Array<[string, object]>>} Session key and session pairs.
+   */
+  async entries() {
+    return (await this.keys()).map((id) => [id, this.sessions[id]])
+  }
+  /**
+   * Count the sessions that have not expired.
+   * @returns {Promise<number>}
+   */
+  async size() {
+    return (await this.keys()).length
+  }
+  /**
+   * Delete all sessions.
+   * @returns {Promise<void>}
+   */
+  async clearAll() {
+    this.sessions = {}
+    this.expiresAt = {}
+  }
+  /**
+   * Delete all expired sessions.
+   * @returns {Promise<number>} Number of deleted sessions.
+   */
+  async sweep() {
+    const expired = Object.keys(this.sessions).filter((id) =>
+      this._isExpired(id)
+    )
+    for (const id of expired) await this.clear(id)
+    return expired.length
+  }
+  /**
+   * Stop the expiry sweeper.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this._sweeper)
   }
 }
 
 /**
- * File-based session store for DiscordBot.
+ * File-based session store for DiscordBot. Sessions are cached in memory and written to
+ * the file in the background: writes are debounced, serialized and atomic (written to a
+ * temporary file, then renamed over the session file). A corrupt session file is backed up
+ * and replaced with an empty store. Call `flush()` (or `bot.stop()`) before shutting down;
+ * pending writes are also flushed synchronously when the process exits.
  * @class
  */
 class FileSessionStore {
   /**
    * Create a new FileSessionStore.
    * @param {string} [filePath='sessions.json'] - Path to session file.
+   * @param {object} [options={}] - Store options.
+   * @param {number} [options.debounce=100] - Milliseconds to wait for more changes before writing.
+   * @param {number} [options.ttl] - Expire sessions this many milliseconds after they were last set (default: never).
+   * @param {number} [options.sweepInterval] - How often expired sessions are deleted (default: every minute if `ttl` is set).
+   * @param {boolean} [options.persistEmpty=false] - Keep empty sessions instead of deleting them.
+   * @param {Logger} [options.logger] - Logger for store errors (default: the console; the bot sets its own logger).
    */
-  constructor(filePath = 'sessions.json') {
+  constructor(filePath = 'sessions.json', options = {}) {
     this.filePath = filePath
-    if (!fs.existsSync(this.filePath)) fs.writeFileSync(this.filePath, '{}')
+    this.debounce = options.debounce ?? 100
+    this.ttl = options.ttl
+    this.persistEmpty = options.persistEmpty ?? false
+    this.logger = options.logger || null
+    this.sessions = null // loaded on first use
+    this._dirty = false
+    this._timer = null
+    this._writing = Promise.resolve()
+    this._onExit = () => this.flushSync()
+    this._sweeper = startSweeper(this, options.sweepInterval)
   }
-  _read() {
-    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+  /**
+   * Internal: Whether a stored session has expired. Expiry times are kept in the
+   * stored session as `__expiresAt`, so the file format stays a plain key-to-session map.
+   * @param {object} stored - Stored session.
+   * @returns {boolean}
+   * @private
+   */
+  _isExpired(stored) {
+    return stored.__expiresAt !== undefined && stored.__expiresAt <= Date.now()
+  }
+  /**
+   * Internal: Copy a stored session without its expiry time.
+   * @param {object} stored - Stored session.
+   * @returns {object} Session object.
+   * @private
+   */
+  _unwrap(stored) {
+    const { __expiresAt, ...session } = structuredClone(stored)
+    return session
+  }
+  /**
+   * Internal: Get the session cache, loading it from the file on first use.
+   * @returns {object} Sessions keyed by ID.
+   * @private
+   */
+  _cache() {
+    if (this.sessions) return this.sessions
+    this.sessions = {}
+    if (!fs.existsSync(this.filePath)) return this.sessions
+    const raw = fs.readFileSync(this.filePath, 'utf8')
+    try {
+      this.sessions = raw.trim() ? JSON.parse(raw) : {}
+    } catch (err) {
+      const backup = `${this.filePath}.corrupt-${Date.now()}`
+      fs.renameSync(this.filePath, backup)
+      logError(this, 'Session file is corrupt, moved it aside', {
+        file: this.filePath,
+        backup,
+        error: err,
+      })
+    }
+    return this.sessions
   }
-  _write(sessions) {
-    fs.writeFileSync(this.filePath, JSON.stringify(sessions, null, 2))
+  /**
+   * Internal: Schedule a debounced write of the session cache.
+   * @private
+   */
+  _schedule() {
+    if (!this._dirty) process.on('exit', this._onExit)
+    this._dirty = true
+    if (this._timer) return
+    this._timer = setTimeout(() => {
+      this._timer = null
+      this.flush().catch(() => {}) // logged by flush()
+    }, this.debounce)
+    this._timer.unref?.()
+  }
+  /**
+   * Internal: Write the session cache to a temporary file and rename it over the session file.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write() {
+    if (!this._dirty) return
+    this._dirty = false
+    process.off('exit', this._onExit)
+    const tmp = `${this.filePath}.${process.pid}.tmp`
+    try {
+      await fs.promises.writeFile(tmp, JSON.stringify(this.sessions, null, 2))
+      await fs.promises.rename(tmp, this.filePath)
+    } catch (err) {
+      // Keep the changes pending without re-arming the timer: they are written with the
+      // next change or flush (or on exit), so a persistent error is not retried in a loop
+      if (!this._dirty) process.on('exit', this._onExit)
+      this._dirty = true
+      throw err
+    }
   }
   /**
    * Get session data for a user.
    * @param {string} id - User ID.
-   * @returns {Promise<object>} Session object.
+   * @returns {Promise<object>} Session object (a copy; save changes with `set`).
    */
   async get(id) {
-    const sessions = this._read()
-    return sessions[id] || {}
+    const stored = this._cache()[id]
+    if (!stored) return {}
+    if (this._isExpired(stored)) {
+      await this.clear(id)
+      return {}
+    }
+    return this._unwrap(stored)
   }
   /**
    * Set session data for a user.
@@ -74,9 +278,11 @@ class FileSessionStore {
    * @returns {Promise<void>}
    */
   async set(id, session) {
-    const sessions = this._read()
-    sessions[id] = session
-    this._write(sessions)
+    if (isEmpty(session) && !this.persistEmpty) return this.clear(id)
+    this._cache()[id] = this.ttl
+      ? { ...session, __expiresAt: Date.now() + this.ttl }
+      : session
+    this._schedule()
   }
   /**
    * Clear session data for a user.
@@ -84,28 +290,338 @@ class FileSessionStore {
    * @returns {Promise<void>}
    */
   async clear(id) {
-    const sessions = this._read()
+    const sessions = this._cache()
+    if (!(id in sessions)) return
     delete sessions[id]
-    this._write(sessions)
+    this._schedule()
+  }
+  /**
+   * List the keys of all sessions that have not expired.
+   * @returns {Promise<Array<string>>} Session keys.
+   */
+  async keys() {
+    const sessions = this._cache()
+    return Object.keys(sessions).filter((id) => !this._isExpired(sessions[id]))
+  }
+  /**
+   * List all sessions that have not expired.
+   * @returns {Promise<Array<[string, object]>>} Session key and session pairs.
+   */
+  async entries() {
+    const sessions = this._cache()
+    return (await this.keys()).map((id) => [id, this._unwrap(sessions[id])])
+  }
+  /**
+   * Count the sessions that have not expired.
+   * @returns {Promise<number>}
+   */
+  async size() {
+    return (await this.keys()).length
+  }
+  /**
+   * Delete all sessions.
+   * @returns {Promise<void>}
+   */
+  async clearAll() {
+    this.sessions = {}
+    this._schedule()
+  }
+  /**
+   * Delete all expired sessions.
+   * @returns {Promise<number>} Number of deleted sessions.
+   */
+  async sweep() {
+    const sessions = this._cache()
+    const expired = Object.keys(sessions).filter((id) =>
+      this._isExpired(sessions[id])
+    )
+    for (const id of expired) delete sessions[id]
+    if (expired.length) this._schedule()
+    return expired.length
+  }
+  /**
+   * Write pending changes now. Writes are queued, so concurrent flushes never interleave.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this._timer)
+    this._timer = null
+    const write = this._writing.then(() => this._write())
+    this._writing = write.catch((error) =>
+      logError(this, 'Failed to write session file', {
+        file: this.filePath,
+        error,
+      })
+    )
+    return write
+  }
+  /**
+   * Write pending changes synchronously (used when the process exits). Errors are logged, not thrown.
+   */
+  flushSync() {
+    if (!this._dirty) return
+    clearTimeout(this._timer)
+    this._timer = null
+    this._dirty = false
+    process.off('exit', this._onExit)
+    const tmp = `${this.filePath}.${process.pid}.tmp`
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(this.sessions, null, 2))
+      fs.renameSync(tmp, this.filePath)
+    } catch (error) {
+      logError(this, 'Failed to write session file', {
+        file: this.filePath,
+        error,
+      })
+    }
+  }
+  /**
+   * Flush pending changes and stop the expiry sweeper.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this._sweeper)
+    await this.flush()
+  }
+}
+
+/**
+ * SQLite session store for DiscordBot, using Node's built-in `node:sqlite` module
+ * (Node 22.13+ or 23.4+; Node 22.5 to 22.12 need the `--experimental-sqlite` flag).
+ * Each session is one row keyed by session key; sessions can expire after a TTL.
+ * The database is opened on first use.
+ * @class
+ */
+class SqliteSessionStore {
+  /**
+   * Create a new SqliteSessionStore.
+   * @param {string} [path='sessions.db'] - Path to the database file (':memory:' for an in-memory database).
+   * @param {object} [options={}] - Store options.
+   * @param {number} [options.ttl] - Expire sessions this many milliseconds after they were last set (default: never).
+   * @param {string} [options.table='sessions'] - Table name.
+   * @param {number} [options.sweepInterval] - How often expired sessions are deleted (default: every minute if `ttl` is set).
+   * @param {boolean} [options.persistEmpty=false] - Keep empty sessions instead of deleting them.
+   * @param {Logger} [options.logger] - Logger for store errors (default: the console; the bot sets its own logger).
+   */
+  constructor(path = 'sessions.db', options = {}) {
+    this.path = path
+    this.ttl = options.ttl
+    this.table = options.table || 'sessions'
+    if (!/^\w+$/.test(this.table)) {
+      throw new Error(`Invalid session table name "${this.table}"`)
+    }
+    this.persistEmpty = options.persistEmpty ?? false
+    this.logger = options.logger || null
+    this.db = null
+    this._sweeper = startSweeper(this, options.sweepInterval)
+  }
+  /**
+   * Internal: Open the database and create the session table on first use.
+   * @returns {Promise<object>} node:sqlite DatabaseSync instance.
+   * @throws {Error} If this Node.js version has no `node:sqlite` module.
+   * @private
+   */
+  async _db() {
+    if (this.db) return this.db
+    let sqlite
+    try {
+      sqlite = await import('node:sqlite')
+    } catch (err) {
+      throw new Error(
+        `SqliteSessionStore needs node:sqlite, which is not available in Node.js ${process.versions.node}: use Node.js 22.13 or newer (or 22.5 to 22.12 with the --experimental-sqlite flag)`,
+        { cause: err }
+      )
+    }
+    const { DatabaseSync } = sqlite
+    const db = new DatabaseSync(this.path)
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (key TEXT PRIMARY KEY, data TEXT NOT NULL, expires_at INTEGER)`
+    )
+    this.db = db
+    return db
+  }
+  /**
+   * Get session data for a user. Expired sessions are deleted and read as empty.
+   * @param {string} id - Session key.
+   * @returns {Promise<object>} Session object.
+   */
+  async get(id) {
+    const db = await this._db()
+    const row = db
+      .prepare(`SELECT data, expires_at FROM ${this.table} WHERE key = ?`)
+      .get(String(id))
+    if (!row) return {}
+    if (row.expires_at !== null && row.expires_at <= Date.now()) {
+      await this.clear(id)
+      return {}
+    }
+    return JSON.parse(row.data)
+  }
+  /**
+   * Set session data for a user.
+   * @param {string} id - Session key.
+   * @param {object} session - Session object.
+   * @returns {Promise<void>}
+   */
+  async set(id, session) {
+    if (isEmpty(session) && !this.persistEmpty) return this.clear(id)
+    const db = await this._db()
+    const expiresAt = this.ttl ? Date.now() + this.ttl : null
+    db.prepare(
+      `INSERT INTO ${this.table} (key, data, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at`
+    ).run(String(id), JSON.stringify(session), expiresAt)
   }
+  /**
+   * Clear session data for a user.
+   * @param {string} id - Session key.
+   * @returns {Promise<void>}
+   */
+  async clear(id) {
+    const db = await this._db()
+    db.prepare(`DELETE FROM ${this.table} WHERE key = ?`).run(String(id))
+  }
+  /**
+   * List the keys of all sessions that have not expired.
+   * @returns {Promise<Array<string>>} Session keys.
+   */
+  async keys() {
+    const db = await this._db()
+    return db
+      .prepare(
+        `SELECT key FROM ${this.table} WHERE expires_at IS NULL OR expires_at > ?`
+      )
+      .all(Date.now())
+      .map((row) => row.key)
+  }
+  /**
+   * List all sessions that have not expired.
+   * @returns {Promise<Array<[string, object]>>} Session key and session pairs.
+   */
+  async entries() {
+    const db = await this._db()
+    return db
+      .prepare(
+        `SELECT key, data FROM ${this.table} WHERE expires_at IS NULL OR expires_at > ?`
+      )
+      .all(Date.now())
+      .map((row) => [row.key, JSON.parse(row.data)])
+  }
+  /**
+   * Count the sessions that have not expired.
+   * @returns {Promise<number>}
+   */
+  async size() {
+    const db = await this._db()
+    const row = db
+      .prepare(
+        `SELECT COUNT(*) AS count FROM ${this.table} WHERE expires_at IS NULL OR expires_at > ?`
+      )
+      .get(Date.now())
+    return Number(row.count)
+  }
+  /**
+   * Delete all sessions.
+   * @returns {Promise<void>}
+   */
+  async clearAll() {
+    const db = await this._db()
+    db.exec(`DELETE FROM ${this.table}`)
+  }
+  /**
+   * Delete all expired sessions.
+   * @returns {Promise<number>} Number of deleted sessions.
+   */
+  async sweep() {
+    const db = await this._db()
+    const { changes } = db
+      .prepare(`DELETE FROM ${this.table} WHERE expires_at <= ?`)
+      .run(Date.now())
+    return Number(changes)
+  }
+  /**
+   * Stop the expiry sweeper and close the database.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this._sweeper)
+    this.db?.close()
+    this.db = null
+  }
+}
+
+/**
+ * Create a session store from options.
+ * @param {object} [options={}] - Store options (also passed to the store, e.g. ttl, sweepInterval, persistEmpty).
+ * @param {string} [options.type='memory'] - Store type ('memory', 'file' or 'sqlite').
+ * @param {string} [options.filePath='sessions.json'] - Path to session file ('file').
+ * @param {string} [options.path='sessions.db'] - Path to database file ('sqlite').
+ * @returns {MemorySessionStore|FileSessionStore|SqliteSessionStore} Session store.
+ */
+export function createSessionStore(options = {}) {
+  const { type = 'memory', filePath = 'sessions.json', path } = options
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore(options)
+    case 'file':
+      return new FileSessionStore(filePath, options)
+    case 'sqlite':
+      return new SqliteSessionStore(path, options)
+    default:
+      throw new Error(`Unknown session store type "${type}"`)
+  }
+}
+
+/**
+ * Built-in session key strategies. Each returns the session key for a context, or null if
+ * the update has no such key (e.g. a member event has no channel).
+ * In direct messages, 'guild' falls back to the DM channel and 'user+guild' to a per-user DM key.
+ * @type {object}
+ */
+export const sessionKeys = {
+  user: (ctx) => ctx.from?.id ?? null,
+  'user+channel': (ctx) =>
+    ctx.from && ctx.channelId ? `${ctx.from.id}:${ctx.channelId}` : null,
+  channel: (ctx) => ctx.channelId ?? null,
+  guild: (ctx) => ctx.guildId ?? ctx.channelId ?? null,
+  'user+guild': (ctx) =>
+    ctx.from ? `${ctx.from.id}:${ctx.guildId ?? 'dm'}` : null,
+}
+
+/**
+ * Resolve a session key strategy into a key function.
+ * @param {string|function(Context):string|null} strategy - Strategy name ('user', 'user+channel', 'channel', 'guild', 'user+guild') or a custom key function.
+ * @returns {function(Context):string|null} Key function.
+ */
+export function resolveSessionKey(strategy) {
+  if (typeof strategy === 'function') return strategy
+  const fn = sessionKeys[strategy]
+  if (!fn) throw new Error(`Unknown session key strategy "${strategy}"`)
+  return fn
 }
 
 /**
  * Session middleware for DiscordBot. Attaches session to context.
- * @param {object} [options] - Options for session store.
- * @param {string} [options.type='memory'] - Store type ('memory' or 'file').
+ * @param {object} [options] - Options for session store (see createSessionStore).
+ * @param {string} [options.type='memory'] - Store type ('memory', 'file' or 'sqlite').
  * @param {string} [options.filePath='sessions.json'] - Path to session file.
+ * @param {string} [options.path='sessions.db'] - Path to SQLite database file.
+ * @param {object} [options.store] - Session store instance (instead of `type`).
+ * @param {string|function(Context):string|null} [options.key] - Session key strategy or function (defaults to the bot's `sessionKey`).
  * @returns {function(Context, function):Promise<void>} Middleware function.
  */
 export function session(options = {}) {
-  const { type = 'memory', filePath = 'sessions.json' } = options
-  const store =
-    type === 'file' ? new FileSessionStore(filePath) : new MemorySessionStore()
+  const { key } = options
+  const store = options.store || createSessionStore(options)
+  const getKey = key
+    ? resolveSessionKey(key)
+    : (ctx) => ctx.bot.getSessionKey(ctx)
   return async (ctx, next) => {
-    const chatId = ctx.chat?.id || ctx.from?.id || 'default'
-    ctx.session = await store.get(chatId)
+    const id = getKey(ctx)
+    if (id === null || id === undefined) return next()
+    ctx.session = await store.get(id)
     await next()
-    await store.set(chatId, ctx.session)
+    await store.set(id, ctx.session)
   }
 }
 
@@ -113,4 +629,4 @@ export function session(options = {}) {
  * Session store classes for DiscordBot.
  * @type {FileSessionStore}
  */
-export { FileSessionStore, MemorySessionStore }
+export { FileSessionStore, MemorySessionStore, SqliteSessionStore }
@@ -0,0 +1,156 @@
+// DiscordBot slash (application) command helpers
+import { ApplicationCommandOptionType } from 'discord.js'
+
+/**
+ * Map of option type names to Discord application command option types.
+ * @type {object}
+ */
+const OPTION_TYPES = {
+  string: ApplicationCommandOptionType.String,
+  integer: ApplicationCommandOptionType.Integer,
+  number: ApplicationCommandOptionType.Number,
+  boolean: ApplicationCommandOptionType.Boolean,
+  user: ApplicationCommandOptionType.User,
+  channel: ApplicationCommandOptionType.Channel,
+  role: ApplicationCommandOptionType.Role,
+  mentionable: ApplicationCommandOptionType.Mentionable,
+  attachment: ApplicationCommandOptionType.Attachment,
+}
+
+/**
+ * Build a slash command option from an option schema.
+ * @param {object} option - Option schema.
+ * @param {string} option.name - Option name (lowercase).
+ * @param {string} [option.type='string'] - Option type ('string', 'integer', 'number', 'boolean', 'user', 'channel', 'role', 'mentionable', 'attachment').
+ * @param {string} [option.description] - Option description.
+ * @param {boolean} [option.required=false] - Whether the option is required.
+ * @param {Array<string|number|object>} [option.choices] - Allowed values, as plain values or { name, value } objects.
+ * @param {number} [option.min] - Minimum value (number/integer) or length (string).
+ * @param {number} [option.max] - Maximum value (number/integer) or length (string).
+ * @param {Array<number>} [option.channelTypes] - Allowed channel types (channel).
+ * @returns {object} Discord application command option data.
+ */
+function buildOption(option) {
+  const { name, type = 'string', description, required = false } = option
+  const resolvedType = OPTION_TYPES[type]
+  if (!resolvedType) {
+    throw new Error(`Unknown slash command option type "${type}" for "${name}"`)
+  }
+  const data = {
+    name,
+    description: description || name,
+    type: resolvedType,
+    required,
+  }
+  if (option.choices) {
+    data.choices = option.choices.map((choice) =>
+      typeof choice === 'object'
+        ? choice
+        : { name: String(choice), value: choice }
+    )
+  }
+  if (type === 'string') {
+    if (option.min !== undefined) data.min_length = option.min
+    if (option.max !== undefined) data.max_length = option.max
+  } else if (type === 'integer' || type === 'number') {
+    if (option.min !== undefined) data.min_value = option.min
+    if (option.max !== undefined) data.max_value = option.max
+  }
+  if (option.channelTypes) data.channel_types = option.channelTypes
+  return data
+}
+
+/**
+ * Build a slash command definition.
+ * @param {string} name - Command name (without leading slash).
+ * @param {object} [spec={}] - Command spec.
+ * @param {string} [spec.description] - Command description.
+ * @param {Array<object>} [spec.options=[]] - Option schemas (see buildOption).
+ * @returns {object} Discord application command data.
+ */
+export function buildSlashCommand(name, spec = {}) {
+  const { description, options = [] } = spec
+  // Discord requires required options to come before optional ones
+  const sorted = [...options].sort(
+    (a, b) => Number(Boolean(b.required)) - Number(Boolean(a.required))
+  )
+  return {
+    name,
+    description: description || name,
+    options: sorted.map(buildOption),
+  }
+}
+
+/**
+ * Register slash command definitions with Discord, globally and per guild.
+ * @param {object} client - Discord.js client (must be ready).
+ * @param {Array<{data: object, guildIds: Array<string>|null}>} definitions - Registered definitions.
+ * @returns {Promise<void>}
+ */
+export async function syncSlashCommands(client, definitions) {
+  if (!definitions.length) return
+  const global = []
+  const byGuild = {}
+  for (const { data, guildIds } of definitions) {
+    if (!guildIds) {
+      global.push(data)
+      continue
+    }
+    for (const guildId of guildIds) {
+      if (!byGuild[guildId]) byGuild[guildId] = []
+      byGuild[guildId].push(data)
+    }
+  }
+  if (global.length) await client.application.commands.set(global)
+  for (const [guildId, commands] of Object.entries(byGuild)) {
+    await client.application.commands.set(commands, guildId)
+  }
+}
+
+/**
+ * Read the options of a chat input interaction into a plain object.
+ * @param {object} interaction - Discord.js ChatInputCommandInteraction.
+ * @returns {object} Option values keyed by option name.
+ */
+export function readInteractionOptions(interaction) {
+  const options = {}
+  for (const opt of interaction.options?.data || []) {
+    switch (opt.type) {
+      case ApplicationCommandOptionType.User:
+        options[opt.name] = opt.user
+        break
+      case ApplicationCommandOptionType.Channel:
+        options[opt.name] = opt.channel
+        break
+      case ApplicationCommandOptionType.Role:
+        options[opt.name] = opt.role
+        break
+      case ApplicationCommandOptionType.Mentionable:
+        options[opt.name] = opt.member ?? opt.user ?? opt.role
+        break
+      case ApplicationCommandOptionType.Attachment:
+        options[opt.name] = opt.attachment
+        break
+      default:
+        options[opt.name] = opt.value
+    }
+  }
+  return options
+}
+
+/**
+ * Read the options of a chat input interaction as command arguments: users, channels, roles and
+ * mentionables are given as their IDs, like text command arguments.
+ * @param {object} interaction - Discord.js ChatInputCommandInteraction.
+ * @returns {object} Option values keyed by option name.
+ */
+export function readInteractionArgs(interaction) {
+  const args = {}
+  for (const opt of interaction.options?.data || []) {
+    args[opt.name] =
+      opt.type === ApplicationCommandOptionType.Attachment
+        ? opt.attachment
+        : opt.value
+  }
+  return args
+}
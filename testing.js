@@ -0,0 +1,587 @@
+// DiscordBot offline test harness
+import { EventEmitter } from 'events'
+import {
+  ApplicationCommandOptionType,
+  Collection,
+  Events,
+  PermissionsBitField,
+  Status,
+} from 'discord.js'
+
+let nextId = 1
+
+/**
+ * Create a unique fake snowflake ID.
+ * @returns {string} ID.
+ */
+function fakeId() {
+  return String(100000000000000000n + BigInt(nextId++))
+}
+
+/**
+ * Fake Discord.js client for testing bots offline. Assign it to `bot.client` before `launch()`
+ * (or use `TestClient.launch(bot)`), inject synthetic events, and assert on the recorded calls.
+ * Every outgoing `send`, `reply`, `editReply`, `followUp`, `update`, `deferReply`, `deferUpdate`,
+ * `showModal`, `edit`, `delete`, `kick` and `ban` is pushed to `client.calls`.
+ * @example
+ * const client = await TestClient.launch(bot)
+ * await client.sendMessage('/ping')
+ * assert.equal(client.lastReply, 'pong')
+ * @class
+ * @extends EventEmitter
+ */
+export class TestClient extends EventEmitter {
+  /**
+   * Create a new TestClient.
+   * @param {object} [defaults={}] - Default identity of injected events (override per event).
+   * @param {string} [defaults.userId] - Author/invoker user ID.
+   * @param {string} [defaults.username='tester'] - Author/invoker username.
+   * @param {string|null} [defaults.guildId] - Guild ID (null for direct messages).
+   * @param {string} [defaults.channelId] - Channel ID.
+   * @param {string} [defaults.ownerId] - Application owner ID (for ownerOnly guards).
+   * @param {string} [defaults.guildOwnerId] - Server owner ID.
+   */
+  constructor(defaults = {}) {
+    super()
+    this.defaults = {
+      userId: fakeId(),
+      username: 'tester',
+      guildId: fakeId(),
+      channelId: fakeId(),
+      ...defaults,
+    }
+    this.calls = []
+    this.slashCommands = {} // registered slash commands, keyed by guild ID ('global' for global ones)
+    this.members = {} // member options ({ permissions, roles, rolePosition }) keyed by user ID, null if not in the server
+    this.user = { id: fakeId(), username: 'bot', bot: true }
+    this.channels = {
+      cache: new Collection(),
+      fetch: async (channelId) => this._channel(channelId),
+    }
+    this.ws = { status: Status.Idle, ping: 0 }
+    const client = this
+    this.application = {
+      commands: {
+        async set(commands, guildId) {
+          client.slashCommands[guildId || 'global'] = commands
+          return commands
+        },
+      },
+      async fetch() {
+        return { owner: { id: client.defaults.ownerId ?? null } }
+      },
+    }
+  }
+
+  /**
+   * Attach a TestClient to a bot and launch it.
+   * @param {DiscordBot} bot - Bot to test.
+   * @param {object} [defaults={}] - Default identity of injected events.
+   * @returns {Promise<TestClient>} The launched client.
+   */
+  static async launch(bot, defaults = {}) {
+    const client = new TestClient(defaults)
+    bot.client = client
+    await bot.launch()
+    return client
+  }
+
+  // --- Client ---
+  /**
+   * Fake login: emits the ready event.
+   * @returns {Promise<string>}
+   */
+  async login() {
+    this.ws.status = Status.Ready
+    await this.dispatch(Events.ClientReady, this)
+    return 'test-token'
+  }
+  /**
+   * Fake destroy.
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    this.ws.status = Status.Disconnected
+    this.removeAllListeners()
+  }
+  /**
+   * Whether the fake client is logged in.
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.ws.status === Status.Ready
+  }
+  /**
+   * Emit an event and wait for all (async) listeners to finish.
+   * @param {string} event - Event name.
+   * @param {...*} args - Event arguments.
+   * @returns {Promise<void>}
+   */
+  async dispatch(event, ...args) {
+    await Promise.all(this.listeners(event).map((fn) => fn(...args)))
+  }
+
+  // --- Recorded Calls ---
+  /**
+   * Internal: Record an outgoing call.
+   * @param {string} method - Method name ('send', 'reply', 'kick', ...).
+   * @param {object} [data={}] - Call data.
+   * @returns {object} The recorded call.
+   * @private
+   */
+  _record(method, data = {}) {
+    const call = { method, ...data }
+    this.calls.push(call)
+    return call
+  }
+  /**
+   * Text of every message sent or replied (send, reply, editReply, followUp, update, edit).
+   * @type {Array<string>}
+   */
+  get replies() {
+    return this.calls
+      .filter((call) =>
+        ['send', 'reply', 'editReply', 'followUp', 'update', 'edit'].includes(
+          call.method
+        )
+      )
+      .map((call) => call.payload?.content)
+  }
+  /**
+   * Text of the last message sent or replied.
+   * @type {string|undefined}
+   */
+  get lastReply() {
+    return this.replies.at(-1)
+  }
+  /**
+   * Forget the recorded calls.
+   */
+  clear() {
+    this.calls = []
+  }
+
+  // --- Fake Discord Objects ---
+  /**
+   * Internal: Normalize an outgoing payload.
+   * @param {string|object} payload - Text or payload object.
+   * @returns {object} Payload object.
+   * @private
+   */
+  _payload(payload) {
+    return typeof payload === 'string' ? { content: payload } : payload
+  }
+  /**
+   * Internal: Create a fake sent message.
+   * @param {object} payload - Message payload.
+   * @param {string} channelId - Channel ID.
+   * @param {string} [id] - Message ID.
+   * @returns {object} Fake message.
+   * @private
+   */
+  _sentMessage(payload, channelId, id = fakeId()) {
+    const client = this
+    return {
+      id,
+      channelId,
+      content: payload.content,
+      async edit(p) {
+        client._record('edit', {
+          messageId: id,
+          channelId,
+          payload: client._payload(p),
+        })
+        return this
+      },
+      async delete() {
+        client._record('delete', { messageId: id, channelId })
+      },
+    }
+  }
+  /**
+   * Internal: Create a fake channel.
+   * @param {string} channelId - Channel ID.
+   * @returns {object} Fake channel.
+   * @private
+   */
+  _channel(channelId) {
+    const client = this
+    return {
+      id: channelId,
+      async send(p) {
+        const payload = client._payload(p)
+        client._record('send', { channelId, payload })
+        return client._sentMessage(payload, channelId)
+      },
+      async sendTyping() {
+        client._record('typing', { channelId })
+      },
+      async createInvite(options) {
+        client._record('createInvite', { channelId, options })
+        return { url: `https://discord.gg/${fakeId()}` }
+      },
+      messages: {
+        fetch: async (id) => client._sentMessage({}, channelId, id),
+      },
+    }
+  }
+  /**
+   * Internal: Create a fake guild. Users registered as `members[id] = null` are not in it.
+   * @param {string} guildId - Guild ID.
+   * @param {string} [systemChannelId] - ID of the system channel (member join/leave replies).
+   * @returns {object} Fake guild.
+   * @private
+   */
+  _guild(guildId, systemChannelId = this.defaults.channelId) {
+    const client = this
+    const guild = {
+      id: guildId,
+      ownerId: this.defaults.guildOwnerId ?? null,
+      systemChannel: this._channel(systemChannelId),
+      members: {
+        fetch: async (userId) => {
+          if (client.members[userId] === null) throw new Error('Unknown Member')
+          return client._member(userId, guild)
+        },
+      },
+    }
+    return guild
+  }
+  /**
+   * Internal: Create a fake guild member. Member options come from `client.members[userId]`
+   * and the per-event options.
+   * @param {string} userId - User ID.
+   * @param {object} guild - Fake guild.
+   * @param {object} [options={}] - Member options ({ username, permissions, roles, rolePosition }).
+   * @returns {object} Fake member.
+   * @private
+   */
+  _member(userId, guild, options = {}) {
+    const client = this
+    const opts = { ...this.members[userId], ...options }
+    const permissions = new PermissionsBitField(opts.permissions || [])
+    const position = opts.rolePosition ?? 0
+    const highest = {
+      position,
+      comparePositionTo: (other) => position - other.position,
+    }
+    const roles = new Collection(
+      (opts.roles || []).map((role) => {
+        const data = typeof role === 'object' ? role : { id: role, name: role }
+        return [data.id, data]
+      })
+    )
+    return {
+      id: userId,
+      user: { id: userId, username: opts.username || 'member', bot: false },
+      guild,
+      permissions,
+      permissionsIn: () => permissions,
+      roles: { cache: roles, highest },
+      async kick(reason) {
+        client._record('kick', { userId, guildId: guild.id, reason })
+        return this
+      },
+      async ban(banOptions) {
+        client._record('ban', {
+          userId,
+          guildId: guild.id,
+          reason: banOptions?.reason,
+        })
+        return this
+      },
+    }
+  }
+  /**
+   * Internal: Resolve the identity of an injected event.
+   * @param {object} options - Event options.
+   * @returns {{user: object, guild: object|null, member: object|null, channel: object, guildId: string|null, channelId: string}}
+   * @private
+   */
+  _origin(options) {
+    const opts = { ...this.defaults, ...options }
+    const user = { id: opts.userId, username: opts.username, bot: false }
+    const guild = opts.guildId
+      ? this._guild(opts.guildId, opts.channelId)
+      : null
+    const member = guild
+      ? this._member(opts.userId, guild, {
+          username: opts.username,
+          ...options,
+        })
+      : null
+    return {
+      user,
+      guild,
+      member,
+      channel: this._channel(opts.channelId),
+      guildId: opts.guildId ?? null,
+      channelId: opts.channelId,
+    }
+  }
+  /**
+   * Internal: Create a fake interaction. Replying twice, or replying after a deferral, throws like Discord does.
+   * @param {string} kind - 'command', 'button', 'select' or 'modal'.
+   * @param {object} options - Event options.
+   * @param {object} [data={}] - Extra interaction properties.
+   * @returns {object} Fake interaction.
+   * @private
+   */
+  _interaction(kind, options, data = {}) {
+    const client = this
+    const origin = this._origin(options)
+    const fromMessage = kind === 'button' || kind === 'select'
+    const record = (method, payload) =>
+      client._record(method, {
+        channelId: origin.channelId,
+        userId: origin.user.id,
+        payload: payload && client._payload(payload),
+      })
+    const message = this._sentMessage({}, origin.channelId)
+    return {
+      id: fakeId(),
+      user: origin.user,
+      member: origin.member,
+      memberPermissions: origin.member?.permissions ?? null,
+      guild: origin.guild,
+      guildId: origin.guildId,
+      channel: origin.channel,
+      channelId: origin.channelId,
+      message: fromMessage ? message : null,
+      replied: false,
+      deferred: false,
+      isRepliable: () => true,
+      isChatInputCommand: () => kind === 'command',
+      isButton: () => kind === 'button',
+      isAnySelectMenu: () => kind === 'select',
+      isModalSubmit: () => kind === 'modal',
+      isMessageComponent: () => fromMessage,
+      isFromMessage: () => Boolean(options.fromMessage),
+      async reply(payload) {
+        if (this.replied || this.deferred) {
+          throw new Error(
+            'The reply to this interaction has already been sent or deferred.'
+          )
+        }
+        this.replied = true
+        record('reply', payload)
+      },
+      async deferReply(deferOptions) {
+        if (this.replied || this.deferred) {
+          throw new Error(
+            'The reply to this interaction has already been sent or deferred.'
+          )
+        }
+        this.deferred = true
+        record('deferReply', deferOptions)
+      },
+      async deferUpdate() {
+        if (this.replied || this.deferred) {
+          throw new Error(
+            'The reply to this interaction has already been sent or deferred.'
+          )
+        }
+        this.deferred = true
+        record('deferUpdate')
+      },
+      async update(payload) {
+        if (this.replied || this.deferred) {
+          throw new Error(
+            'The reply to this interaction has already been sent or deferred.'
+          )
+        }
+        this.replied = true
+        record('update', payload)
+      },
+      async editReply(payload) {
+        this.replied = true
+        record('editReply', payload)
+      },
+      async followUp(payload) {
+        record('followUp', payload)
+      },
+      async showModal(modal) {
+        this.replied = true
+        client._record('showModal', {
+          channelId: origin.channelId,
+          userId: origin.user.id,
+          modal: modal?.toJSON?.() ?? modal,
+        })
+      },
+      ...data,
+    }
+  }
+
+  // --- Injected Events ---
+  /**
+   * Inject a message.
+   * @param {string} content - Message text.
+   * @param {object} [options={}] - Identity overrides ({ userId, username, guildId, channelId, permissions, roles, rolePosition })
+   *   and `attachments` (Array of { url, name, contentType, size }).
+   * @returns {Promise<object>} The fake message.
+   */
+  async sendMessage(content, options = {}) {
+    const origin = this._origin(options)
+    const attachments = new Collection(
+      (options.attachments || []).map((file) => {
+        const id = fakeId()
+        return [id, { id, ...file }]
+      })
+    )
+    const message = {
+      ...this._sentMessage({ content }, origin.channelId),
+      content,
+      author: origin.user,
+      member: origin.member,
+      guild: origin.guild,
+      guildId: origin.guildId,
+      channel: origin.channel,
+      channelId: origin.channelId,
+      attachments,
+    }
+    await this.dispatch(Events.MessageCreate, message)
+    return message
+  }
+  /**
+   * Inject a slash command.
+   * @param {string} name - Command name.
+   * @param {object} [values={}] - Option values keyed by option name (users as { id, username } objects).
+   * @param {object} [options={}] - Identity overrides.
+   * @returns {Promise<object>} The fake interaction.
+   */
+  async slashCommand(name, values = {}, options = {}) {
+    const data = Object.entries(values).map(([optName, value]) => {
+      if (value && typeof value === 'object') {
+        return {
+          name: optName,
+          type: ApplicationCommandOptionType.User,
+          value: value.id,
+          user: value,
+        }
+      }
+      const type =
+        typeof value === 'boolean'
+          ? ApplicationCommandOptionType.Boolean
+          : typeof value === 'number'
+            ? ApplicationCommandOptionType.Number
+            : ApplicationCommandOptionType.String
+      return { name: optName, type, value }
+    })
+    const interaction = this._interaction('command', options, {
+      commandName: name,
+      options: { data },
+    })
+    await this.dispatch(Events.InteractionCreate, interaction)
+    return interaction
+  }
+  /**
+   * Inject a button click.
+   * @param {string} customId - Button custom ID.
+   * @param {object} [options={}] - Identity overrides.
+   * @returns {Promise<object>} The fake interaction.
+   */
+  async clickButton(customId, options = {}) {
+    const interaction = this._interaction('button', options, { customId })
+    await this.dispatch(Events.InteractionCreate, interaction)
+    return interaction
+  }
+  /**
+   * Inject a select menu choice.
+   * @param {string} customId - Select menu custom ID.
+   * @param {Array<string>} values - Selected values.
+   * @param {object} [options={}] - Identity overrides.
+   * @returns {Promise<object>} The fake interaction.
+   */
+  async selectMenu(customId, values, options = {}) {
+    const interaction = this._interaction('select', options, {
+      customId,
+      values,
+    })
+    await this.dispatch(Events.InteractionCreate, interaction)
+    return interaction
+  }
+  /**
+   * Inject a modal submit.
+   * @param {string} customId - Modal custom ID.
+   * @param {object} fields - Field values keyed by input custom ID.
+   * @param {object} [options={}] - Identity overrides, and `fromMessage` if the modal was opened from a component.
+   * @returns {Promise<object>} The fake interaction.
+   */
+  async submitModal(customId, fields, options = {}) {
+    const interaction = this._interaction('modal', options, {
+      customId,
+      fields: {
+        fields: new Collection(
+          Object.entries(fields).map(([id, value]) => [
+            id,
+            { customId: id, value },
+          ])
+        ),
+      },
+    })
+    await this.dispatch(Events.InteractionCreate, interaction)
+    return interaction
+  }
+  /**
+   * Internal: Inject a reaction event.
+   * @param {string} event - Event name.
+   * @param {string} emoji - Emoji.
+   * @param {object} options - Identity overrides, and `messageId`.
+   * @returns {Promise<object>} The fake reaction.
+   * @private
+   */
+  async _reaction(event, emoji, options) {
+    const origin = this._origin(options)
+    const reaction = {
+      emoji: { name: emoji },
+      message: {
+        ...this._sentMessage({}, origin.channelId),
+        id: options.messageId ?? fakeId(),
+        guild: origin.guild,
+        guildId: origin.guildId,
+        channel: origin.channel,
+        channelId: origin.channelId,
+      },
+    }
+    await this.dispatch(event, reaction, origin.user)
+    return reaction
+  }
+  /**
+   * Inject a reaction being added.
+   * @param {string} emoji - Emoji.
+   * @param {object} [options={}] - Identity overrides, and `messageId`.
+   * @returns {Promise<object>} The fake reaction.
+   */
+  async addReaction(emoji, options = {}) {
+    return this._reaction(Events.MessageReactionAdd, emoji, options)
+  }
+  /**
+   * Inject a reaction being removed.
+   * @param {string} emoji - Emoji.
+   * @param {object} [options={}] - Identity overrides, and `messageId`.
+   * @returns {Promise<object>} The fake reaction.
+   */
+  async removeReaction(emoji, options = {}) {
+    return this._reaction(Events.MessageReactionRemove, emoji, options)
+  }
+  /**
+   * Inject a member joining a server.
+   * @param {object} [options={}] - Identity overrides.
+   * @returns {Promise<object>} The fake member.
+   */
+  async memberJoin(options = {}) {
+    const { member } = this._origin(options)
+    await this.dispatch(Events.GuildMemberAdd, member)
+    return member
+  }
+  /**
+   * Inject a member leaving a server.
+   * @param {object} [options={}] - Identity overrides.
+   * @returns {Promise<object>} The fake member.
+   */
+  async memberLeave(options = {}) {
+    const { member } = this._origin(options)
+    await this.dispatch(Events.GuildMemberRemove, member)
+    return member
+  }
+}
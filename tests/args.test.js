@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import { parseDuration } from '../args.js'
+import DiscordBot, {
+  MemorySessionStore,
+  convertArgs,
+  parseArgs,
+} from '../index.js'
+import { TestClient } from '../testing.js'
+
+const spec = [
+  { name: 'user', type: 'user', required: true },
+  { name: 'level', type: 'integer', min: 1, max: 5, default: 1 },
+  { name: 'mode', choices: ['soft', 'hard'], default: 'soft' },
+]
+
+describe('parseArgs', () => {
+  const kick = [
+    { name: 'user', type: 'user', required: true },
+    { name: 'silent', type: 'boolean', named: true },
+    { name: 'reason', rest: true },
+  ]
+
+  test('keeps the rest text as typed', () => {
+    assert.deepEqual(
+      parseArgs(kick, ' <@123456789012345678> being  "very" rude'),
+      { user: '123456789012345678', reason: 'being  "very" rude' }
+    )
+    assert.equal(
+      parseArgs(kick, '123456789012345678 being --silent rude').reason,
+      'being rude'
+    )
+  })
+
+  test('rejects stray tokens', () => {
+    assert.throws(
+      () => parseArgs([{ name: 'silent', type: 'boolean', named: true }], 'x'),
+      /Too many arguments: x/
+    )
+    assert.throws(
+      () => parseArgs([{ name: 'a' }], 'one two'),
+      /Too many arguments: two/
+    )
+  })
+
+  test('parses durations in any case', () => {
+    assert.equal(parseDuration('1H'), 60 * 60 * 1000)
+    assert.equal(parseDuration('1h30M'), 90 * 60 * 1000)
+    assert.equal(parseDuration('10x'), null)
+  })
+})
+
+describe('convertArgs', () => {
+  test('converts like parseArgs', () => {
+    assert.deepEqual(
+      convertArgs(spec, { user: '123456789012345678', level: 3 }),
+      parseArgs(spec, '<@123456789012345678> 3')
+    )
+  })
+
+  test('validates choices, min and max', () => {
+    assert.throws(
+      () => convertArgs(spec, { user: '123456789012345678', level: 9 }),
+      /at most 5/
+    )
+    assert.throws(
+      () => convertArgs(spec, { user: '123456789012345678', mode: 'x' }),
+      /one of soft, hard/
+    )
+    assert.throws(
+      () => convertArgs(spec, {}),
+      /Missing required argument: user/
+    )
+  })
+})
+
+describe('slash command args', () => {
+  let bot
+  let client
+
+  beforeEach(async () => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+    bot.command('warn', { slash: true, args: spec }, (ctx) =>
+      ctx.reply(JSON.stringify(ctx.args))
+    )
+    client = await TestClient.launch(bot)
+  })
+
+  afterEach(() => bot.stop())
+
+  test('match text command args', async () => {
+    await client.sendMessage('/warn <@123456789012345678> 2')
+    const text = client.lastReply
+    await client.slashCommand('warn', {
+      user: { id: '123456789012345678', username: 'bob' },
+      level: 2,
+    })
+    assert.equal(client.lastReply, text)
+    assert.deepEqual(JSON.parse(text), {
+      user: '123456789012345678',
+      level: 2,
+      mode: 'soft',
+    })
+  })
+
+  test('reply with usage on invalid options', async () => {
+    await client.slashCommand('warn', {
+      user: { id: '123456789012345678', username: 'bob' },
+      mode: 'nuke',
+    })
+    assert.match(client.lastReply, /must be one of soft, hard\.\nUsage: \/warn/)
+  })
+})
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import DiscordBot, { Composer, MemorySessionStore } from '../index.js'
+import { TestClient } from '../testing.js'
+
+describe('Composer', () => {
+  let bot
+  let client
+
+  beforeEach(() => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+  })
+
+  afterEach(() => bot.stop())
+
+  const launch = async () => {
+    client = await TestClient.launch(bot, {
+      userId: 'u1',
+      guildId: 'g1',
+      channelId: 'c1',
+    })
+  }
+
+  test('guild() only handles updates from its servers', async () => {
+    const staff = new Composer().guild('g1')
+    staff.command('ping', (ctx) => ctx.reply('staff pong'))
+    bot.use(staff)
+    bot.command('ping', (ctx) => ctx.reply('pong'))
+    await launch()
+
+    await client.sendMessage('/ping')
+    assert.equal(client.lastReply, 'staff pong')
+    await client.sendMessage('/ping', { guildId: 'g2' })
+    assert.equal(client.lastReply, 'pong')
+  })
+
+  test('channel() and dm() filter updates', async () => {
+    const general = new Composer().channel(['c1', 'c2'])
+    general.hears('hi', (ctx) => ctx.reply('channel hi'))
+    const dms = new Composer().dm()
+    dms.hears('hi', (ctx) => ctx.reply('dm hi'))
+    bot.use(general)
+    bot.use(dms)
+    await launch()
+
+    await client.sendMessage('hi', { channelId: 'c2' })
+    assert.equal(client.lastReply, 'channel hi')
+    await client.sendMessage('hi', { channelId: 'c9', guildId: null })
+    assert.equal(client.lastReply, 'dm hi')
+    client.clear()
+    await client.sendMessage('hi', { channelId: 'c9' })
+    assert.deepEqual(client.replies, [])
+  })
+
+  test('filter() functions are combined with AND', async () => {
+    const vip = new Composer()
+      .filter((ctx) => ctx.from.id === 'u1')
+      .filter(async (ctx) => ctx.guildId === 'g1')
+    vip.action('BTN', (ctx) => ctx.reply('vip'))
+    bot.use(vip)
+    bot.action('BTN', (ctx) => ctx.reply('everyone'))
+    await launch()
+
+    await client.clickButton('BTN')
+    assert.equal(client.lastReply, 'vip')
+    await client.clickButton('BTN', { userId: 'u2' })
+    assert.equal(client.lastReply, 'everyone')
+    await client.clickButton('BTN', { guildId: 'g2' })
+    assert.equal(client.lastReply, 'everyone')
+  })
+
+  test('middlewares only see filtered updates', async () => {
+    const seen = []
+    const staff = new Composer().guild('g1')
+    staff.use(async (ctx, next) => {
+      seen.push(ctx.guildId)
+      await next()
+    })
+    bot.use(staff)
+    bot.hears('hi', (ctx) => ctx.reply('hello'))
+    await launch()
+
+    await client.sendMessage('hi')
+    await client.sendMessage('hi', { guildId: 'g2' })
+    assert.deepEqual(seen, ['g1'])
+    assert.deepEqual(client.replies, ['hello', 'hello'])
+  })
+
+  test('nested composers apply every filter on the way down', async () => {
+    const staff = new Composer().guild('g1')
+    const mods = new Composer().channel('mod-chat')
+    mods.command('warn', (ctx) => ctx.reply('warned'))
+    staff.use(mods)
+    staff.command('staff', (ctx) => ctx.reply('staff'))
+    bot.use(staff)
+    bot.on('message', (ctx) => ctx.reply('fallback'))
+    await launch()
+
+    await client.sendMessage('/warn', { channelId: 'mod-chat' })
+    assert.equal(client.lastReply, 'warned')
+    await client.sendMessage('/warn')
+    assert.equal(client.lastReply, 'fallback')
+    await client.sendMessage('/warn', { channelId: 'mod-chat', guildId: 'g2' })
+    assert.equal(client.lastReply, 'fallback')
+    await client.sendMessage('/staff', { channelId: 'mod-chat' })
+    assert.equal(client.lastReply, 'staff')
+  })
+
+  test('listCommands() applies the filters of enclosing composers', async () => {
+    const staff = new Composer().guild('g1')
+    const mods = new Composer().channel('mod-chat')
+    mods.command('warn', { description: 'Warn' }, () => {})
+    staff.use(mods)
+    staff.command('staff', { description: 'Staff' }, () => {})
+    bot.use(staff)
+    bot.command('ping', { description: 'Ping' }, () => {})
+    bot.command('cmds', { hidden: true }, async (ctx) =>
+      ctx.reply(
+        (await bot.visibleCommands(ctx))
+          .map((cmd) => cmd.name)
+          .sort()
+          .join(',')
+      )
+    )
+    await launch()
+
+    await client.sendMessage('/cmds', { channelId: 'mod-chat' })
+    assert.equal(client.lastReply, 'ping,staff,warn')
+    await client.sendMessage('/cmds')
+    assert.equal(client.lastReply, 'ping,staff')
+    await client.sendMessage('/cmds', { guildId: 'g2' })
+    assert.equal(client.lastReply, 'ping')
+  })
+
+  test('slash commands inherit the guild of their composer', async () => {
+    const staff = new Composer().guild(['g1', 'g2'])
+    const mods = new Composer()
+    mods.command('warn', { slash: true }, () => {})
+    staff.use(mods)
+    staff.command('staff', { slash: true }, () => {})
+    staff.command('own', { slash: true, guildIds: 'g3' }, () => {})
+    bot.use(staff)
+    bot.command('ping', { slash: true }, () => {})
+    await launch()
+
+    const names = (key) =>
+      (client.slashCommands[key] || []).map((cmd) => cmd.name).sort()
+    assert.deepEqual(names('global'), ['ping'])
+    assert.deepEqual(names('g1'), ['staff', 'warn'])
+    assert.deepEqual(names('g2'), ['staff', 'warn'])
+    assert.deepEqual(names('g3'), ['own'])
+  })
+
+  test('slash invocations reach filtered composers', async () => {
+    const staff = new Composer().guild('g1')
+    staff.command('staff', { slash: true }, (ctx) => ctx.reply('staff'))
+    bot.use(staff)
+    await launch()
+
+    await client.slashCommand('staff')
+    assert.equal(client.lastReply, 'staff')
+  })
+})
@@ -0,0 +1,258 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import DiscordBot, {
+  ArgumentError,
+  DiscordBotError,
+  HandlerTimeoutError,
+  Logger,
+  MemberNotFoundError,
+  MemorySessionStore,
+  MissingPermissionsError,
+  RateLimitedError,
+  RoleHierarchyError,
+  SessionStoreError,
+} from '../index.js'
+import { TestClient } from '../testing.js'
+
+describe('error handler', () => {
+  let bot
+  let client
+  let errors
+
+  beforeEach(async () => {
+    errors = []
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+      handlerTimeout: 30,
+    })
+    bot.catch(async (err, ctx) => {
+      // Resolves after the update would have finished if it were not awaited
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      errors.push({ err, ctx })
+      await ctx.reply(`error: ${err.message}`)
+    })
+    client = await TestClient.launch(bot, {
+      userId: 'u1',
+      guildId: 'g1',
+      channelId: 'c1',
+    })
+  })
+
+  afterEach(() => bot.stop())
+
+  test('is awaited before the update finishes', async () => {
+    bot.command('boom', () => {
+      throw new Error('kaboom')
+    })
+    await client.sendMessage('/boom')
+    assert.equal(errors.length, 1)
+    assert.equal(client.lastReply, 'error: kaboom')
+  })
+
+  test('gets a usable context for member events', async () => {
+    bot.on('new_member', () => {
+      throw new Error('join failed')
+    })
+    await client.memberJoin({ userId: 'u2', channelId: 'system' })
+    const { ctx } = errors[0]
+    assert.equal(ctx.updateType, 'new_member')
+    assert.equal(ctx.from.id, 'u2')
+    assert.equal(ctx.guildId, 'g1')
+    assert.deepEqual(client.calls.at(-1), {
+      method: 'send',
+      channelId: 'system',
+      payload: { content: 'error: join failed' },
+    })
+  })
+
+  test('gets a usable context for reactions', async () => {
+    bot.on('message_reaction_add', () => {
+      throw new Error('reaction failed')
+    })
+    await client.addReaction('👍', { channelId: 'c2' })
+    assert.equal(errors[0].ctx.updateType, 'message_reaction_add')
+    assert.equal(errors[0].ctx.channelId, 'c2')
+    assert.equal(client.calls.at(-1).channelId, 'c2')
+    assert.equal(client.lastReply, 'error: reaction failed')
+  })
+
+  test('gets a SessionStoreError when the store fails', async () => {
+    bot.command('ping', (ctx) => ctx.reply('pong'))
+    bot.sessionStore.get = async () => {
+      throw new Error('disk full')
+    }
+    await client.sendMessage('/ping')
+    const { err } = errors[0]
+    assert.ok(err instanceof SessionStoreError)
+    assert.equal(err.code, 'SESSION_STORE')
+    assert.equal(err.operation, 'get')
+    assert.equal(err.key, 'u1')
+    assert.equal(err.cause.message, 'disk full')
+  })
+
+  test('gets a HandlerTimeoutError while a slow handler keeps running', async () => {
+    bot.command('slow', async (ctx) => {
+      await new Promise((resolve) => setTimeout(resolve, 60))
+      ctx.session.done = true
+      await ctx.reply('done')
+    })
+    await client.sendMessage('/slow')
+    const { err } = errors[0]
+    assert.ok(err instanceof HandlerTimeoutError)
+    assert.equal(err.handler, 'slow')
+    assert.equal(err.timeout, 30)
+    assert.deepEqual(client.replies, [
+      'error: Handler "slow" did not finish within 30ms',
+      'done',
+    ])
+    assert.equal((await bot.sessionStore.get('u1')).done, true)
+  })
+
+  test('gets a RateLimitedError from cooldowns in throw mode', async () => {
+    bot.command('roll', { cooldown: { window: 10000, throw: true } }, (ctx) =>
+      ctx.reply('rolled')
+    )
+    await client.sendMessage('/roll')
+    await client.sendMessage('/roll')
+    const { err } = errors[0]
+    assert.ok(err instanceof RateLimitedError)
+    assert.ok(err.retryAfter > 0)
+    assert.deepEqual(client.replies.slice(0, 1), ['rolled'])
+  })
+})
+
+test('a throwing session key function goes to the error handler', async () => {
+  const bot = new DiscordBot({
+    token: 'test',
+    sessionStore: new MemorySessionStore(),
+    sessionKey: (ctx) => `${ctx.event.guild.id}:${ctx.from.id}`,
+    logger: false,
+  })
+  const errors = []
+  bot.catch(async (err, ctx) => {
+    errors.push(err)
+    await ctx.reply('error')
+  })
+  bot.hears('hi', (ctx) => ctx.reply('hello'))
+  const client = await TestClient.launch(bot)
+
+  await client.sendMessage('hi', { guildId: null })
+  assert.equal(errors.length, 1)
+  assert.ok(errors[0] instanceof TypeError)
+  assert.equal(client.lastReply, 'error')
+  await client.sendMessage('hi')
+  assert.equal(client.lastReply, 'hello')
+  await bot.stop()
+})
+
+test('a failing error handler is logged instead of rejecting', async () => {
+  const lines = []
+  const bot = new DiscordBot({
+    token: 'test',
+    sessionStore: new MemorySessionStore(),
+    logger: new Logger({ colors: false, output: (line) => lines.push(line) }),
+  })
+  bot.catch(async () => {
+    throw new Error('handler broke')
+  })
+  bot.command('boom', () => {
+    throw new Error('kaboom')
+  })
+  const client = await TestClient.launch(bot)
+  await client.sendMessage('/boom')
+  assert.match(lines.at(-1), /Error handler failed .*error="handler broke"/)
+  await bot.stop()
+})
+
+describe('moderation helpers in throw mode', () => {
+  let bot
+  let client
+
+  beforeEach(async () => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+    bot.command('kick', async (ctx) => {
+      const [, userId] = ctx.text.split(' ')
+      try {
+        await ctx.kickMember(userId, 'bye', { throw: true })
+        await ctx.reply('kicked')
+      } catch (err) {
+        await ctx.reply(err.name)
+      }
+    })
+    client = await TestClient.launch(bot, { guildId: 'g1' })
+  })
+
+  afterEach(() => bot.stop())
+
+  test('tells a missing member from missing permissions', async () => {
+    client.members.u9 = null
+    await client.sendMessage('/kick u9', { permissions: ['KickMembers'] })
+    assert.equal(client.lastReply, 'MemberNotFoundError')
+    await client.sendMessage('/kick u2')
+    assert.equal(client.lastReply, 'MissingPermissionsError')
+    await client.sendMessage('/kick u2', { permissions: ['KickMembers'] })
+    assert.equal(client.lastReply, 'RoleHierarchyError')
+    await client.sendMessage('/kick u2', {
+      permissions: ['KickMembers'],
+      rolePosition: 1,
+    })
+    assert.equal(client.lastReply, 'kicked')
+  })
+
+  test('checks the invoker by default', async () => {
+    bot.command('plainkick', async (ctx) =>
+      ctx.reply(String(await ctx.kickMember('u2')))
+    )
+    await client.sendMessage('/plainkick')
+    assert.equal(client.lastReply, 'false')
+    assert.equal(client.calls.filter((c) => c.method === 'kick').length, 0)
+  })
+
+  test('lets auto-moderation opt out of the invoker check', async () => {
+    bot.hears(/spam/, async (ctx) => {
+      const kicked = await ctx.kickMember(ctx.event.member, undefined, {
+        checkPermissions: false,
+      })
+      if (kicked) await ctx.reply('kicked')
+    })
+    await client.sendMessage('buy spam', { userId: 'u3' })
+    assert.equal(client.lastReply, 'kicked')
+    assert.deepEqual(
+      client.calls.find((c) => c.method === 'kick'),
+      { method: 'kick', userId: 'u3', guildId: 'g1', reason: 'Kicked by bot' }
+    )
+  })
+
+  test('returns false without throw mode', async () => {
+    client.members.u9 = null
+    bot.command('quiet', async (ctx) =>
+      ctx.reply(String(await ctx.kickMember('u9')))
+    )
+    await client.sendMessage('/quiet')
+    assert.equal(client.lastReply, 'false')
+  })
+})
+
+test('framework errors extend DiscordBotError with a code', () => {
+  const errors = [
+    [new ArgumentError('bad'), 'INVALID_ARGUMENT'],
+    [new MissingPermissionsError(['KickMembers']), 'MISSING_PERMISSIONS'],
+    [new RoleHierarchyError('u1'), 'ROLE_HIERARCHY'],
+    [new MemberNotFoundError('u1'), 'MEMBER_NOT_FOUND'],
+    [new RateLimitedError(1500, 'u1'), 'RATE_LIMITED'],
+    [new HandlerTimeoutError(100, 'message'), 'HANDLER_TIMEOUT'],
+  ]
+  for (const [err, code] of errors) {
+    assert.ok(err instanceof DiscordBotError)
+    assert.equal(err.code, code)
+  }
+  assert.deepEqual(new MissingPermissionsError(['BanMembers']).missing, [
+    'BanMembers',
+  ])
+})
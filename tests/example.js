@@ -1,5 +1,13 @@
 import 'dotenv/config'
-import DiscordBot, { Markup, Scene, SceneManager, session } from '../index.js'
+import DiscordBot, {
+  FormScene,
+  Markup,
+  MemberNotFoundError,
+  RoleHierarchyError,
+  SceneManager,
+  logger,
+  session,
+} from '../index.js'
 
 const testPhotoUrl = 'https://www.w3schools.com/w3images/lights.jpg'
 const testDocUrl =
@@ -13,52 +21,52 @@ const bot = new DiscordBot({
 })
 
 bot.catch(async (err, ctx) => {
-  console.error('Global error:', err)
+  bot.logger.error('Global error', { error: err })
   if (ctx && ctx.reply) {
     await ctx.reply('An error occurred: ' + err.message)
   }
 })
 
-const registrationScene = new Scene('registration', [
-  async (ctx) => {
-    await ctx.reply('Welcome to registration! What is your first name?')
-  },
-  async (ctx) => {
-    if (!ctx.text) return false
-    ctx.session.firstName = ctx.text
-    await ctx.reply('What is your last name?')
-  },
-  async (ctx) => {
-    if (!ctx.text) {
-      await ctx.reply('Please enter your last name.')
-      return false
-    }
-    ctx.session.lastName = ctx.text
-    await ctx.reply('What is your email address?')
-  },
-  async (ctx) => {
-    if (!ctx.text || !/\S+@\S+\.\S+/.test(ctx.text)) {
-      await ctx.reply('Please enter a valid email address.')
-      return false
-    }
-    ctx.session.email = ctx.text
-    await ctx.reply(
-      `Registration complete!\nFirst Name: ${ctx.session.firstName}\nLast Name: ${ctx.session.lastName}\nEmail: ${ctx.session.email}`
-    )
-    await registrationScene.leave(ctx)
-  },
-])
+const registrationScene = new FormScene(
+  'registration',
+  [
+    {
+      name: 'firstName',
+      prompt: 'Welcome to registration! What is your first name?',
+    },
+    {
+      name: 'lastName',
+      prompt: 'What is your last name?',
+      retry: 'Please enter your last name.',
+    },
+    { name: 'email', type: 'email', prompt: 'What is your email address?' },
+  ],
+  {
+    onComplete: async (ctx, values) => {
+      await ctx.reply(
+        `Registration complete!\nFirst Name: ${values.firstName}\nLast Name: ${values.lastName}\nEmail: ${values.email}`
+      )
+    },
+  }
+)
 
-const sceneManager = new SceneManager()
+const sceneManager = new SceneManager({
+  ttl: 10 * 60 * 1000,
+  timeoutMessage: 'Your registration timed out.',
+  cancel: ['/cancel', 'cancel'],
+})
 sceneManager.register(registrationScene)
+bot.use(logger())
 bot.use(session())
 bot.use(sceneManager.middleware())
 
 bot.hears(['register', '/register'], async (ctx) => {
-  await registrationScene.enter(ctx)
+  await ctx.scene.enter('registration')
 })
 
-bot.command('/photo', async (ctx) => {
+bot.help()
+
+bot.command('/photo', { cooldown: 10 * 1000 }, async (ctx) => {
   await ctx.replyWithPhoto(
     './tests/test.png',
     'Here is a photo with buttons!',
@@ -72,11 +80,7 @@ bot.command('/photo', async (ctx) => {
 })
 
 bot.action('DISLIKE', async (ctx) => {
-  if (ctx.event && typeof ctx.event.reply === 'function') {
-    await ctx.event.reply({ content: 'You clicked Dislike!', ephemeral: true })
-    } else {
-    await ctx.reply('You clicked Dislike!')
-    }
+  await ctx.replyEphemeral('You clicked Dislike!')
 })
 
 bot.command('/document', async (ctx) => {
@@ -125,35 +129,57 @@ bot.command('/video', async (ctx) => {
   )
 })
 
-bot.command('/kick', async (ctx) => {
-  const args = ctx.text?.split(' ')
-  const userId = args && args[1]
-  if (!userId) {
-    await ctx.reply('Usage: /kick <userId>')
-    return
-  }
-  const success = await ctx.kickMember(userId, 'Kicked by bot command')
-  if (success) {
-    await ctx.reply(`User ${userId} was kicked.`)
-  } else {
-    await ctx.reply(`Failed to kick user ${userId}.`)
-  }
-})
-
-bot.command('/ban', async (ctx) => {
-  const args = ctx.text?.split(' ')
-  const userId = args && args[1]
-  if (!userId) {
-    await ctx.reply('Usage: /ban <userId>')
-    return
+bot.command(
+  '/kick',
+  {
+    description: 'Kick a member',
+    category: 'Moderation',
+    guildOnly: true,
+    permissions: ['KickMembers'],
+    args: [
+      { name: 'user', type: 'user', required: true },
+      { name: 'reason', rest: true, default: 'Kicked by bot command' },
+    ],
+  },
+  async (ctx) => {
+    const { user: userId, reason } = ctx.args
+    try {
+      await ctx.kickMember(userId, reason, { throw: true })
+      await ctx.reply(`User ${userId} was kicked.`)
+    } catch (err) {
+      if (err instanceof MemberNotFoundError) {
+        await ctx.reply(`User ${userId} is not in this server.`)
+      } else if (err instanceof RoleHierarchyError) {
+        await ctx.reply('You cannot kick a member with a role above yours.')
+      } else {
+        await ctx.reply(`Failed to kick user ${userId}.`)
+      }
+    }
   }
-  const success = await ctx.banMember(userId, 'Banned by bot command')
-  if (success) {
-    await ctx.reply(`User ${userId} was banned.`)
-  } else {
-    await ctx.reply(`Failed to ban user ${userId}.`)
+)
+
+bot.command(
+  '/ban',
+  {
+    description: 'Ban a member',
+    category: 'Moderation',
+    guildOnly: true,
+    permissions: ['BanMembers'],
+    args: [
+      { name: 'user', type: 'user', required: true },
+      { name: 'reason', rest: true, default: 'Banned by bot command' },
+    ],
+  },
+  async (ctx) => {
+    const { user: userId, reason } = ctx.args
+    const success = await ctx.banMember(userId, reason)
+    if (success) {
+      await ctx.reply(`User ${userId} was banned.`)
+    } else {
+      await ctx.reply(`Failed to ban user ${userId}.`)
+    }
   }
-})
+)
 
 bot.hears(['hello', 'hi'], async (ctx) => {
   await ctx.reply('Hello! How can I assist you today?')
@@ -171,21 +197,30 @@ bot.command('/keyboard', async (ctx) => {
   )
 })
 
+bot.command('/color', async (ctx) => {
+  await ctx.reply(
+    'Pick a color:',
+    Markup.keyboard([
+      [
+        Markup.stringSelect('COLOR', ['Red', 'Green', 'Blue'], {
+          placeholder: 'Favourite color',
+        }),
+      ],
+    ])
+  )
+})
+
+bot.select('COLOR', async (ctx) => {
+  await ctx.reply(`You picked ${ctx.values[0]}!`)
+})
+
 bot.action('YES', async (ctx) => {
-  if (ctx.event && typeof ctx.event.reply === 'function') {
-    await ctx.event.reply({ content: 'You clicked Yes!', ephemeral: true })
-  } else {
-    await ctx.reply('You clicked Yes!')
-  }
+  await ctx.replyEphemeral('You clicked Yes!')
   await ctx.deleteMessage()
 })
 
 bot.action('NO', async (ctx) => {
-  if (ctx.event && typeof ctx.event.reply === 'function') {
-    await ctx.event.reply({ content: 'You clicked No!', ephemeral: true })
-  } else {
-    await ctx.reply('You clicked No!')
-  }
+  await ctx.replyEphemeral('You clicked No!')
   await ctx.deleteMessage()
 })
 
@@ -215,11 +250,7 @@ bot.command('echo', async (ctx) => {
 })
 
 bot.action('EXACT_ACTION', async (ctx) => {
-  if (ctx.event && typeof ctx.event.reply === 'function') {
-    await ctx.event.reply({ content: 'Exact action matched!', ephemeral: true })
-  } else {
-    await ctx.reply('Exact action matched!')
-  }
+  await ctx.replyEphemeral('Exact action matched!')
 })
 
 // --- Regex match ---
@@ -232,11 +263,7 @@ bot.command(/test.*/, async (ctx) => {
 })
 
 bot.action(/REGEX_.*/, async (ctx) => {
-  if (ctx.event && typeof ctx.event.reply === 'function') {
-    await ctx.event.reply({ content: 'Regex action matched!', ephemeral: true })
-  } else {
-    await ctx.reply('Regex action matched!')
-  }
+  await ctx.replyEphemeral('Regex action matched!')
 })
 
 // --- Array match ---
@@ -249,16 +276,14 @@ bot.command(['multi1', 'multi2'], async (ctx) => {
 })
 
 bot.action(['ACTION1', 'ACTION2'], async (ctx) => {
-  if (ctx.event && typeof ctx.event.reply === 'function') {
-    await ctx.event.reply({ content: 'Array action matched!', ephemeral: true })
-  } else {
-    await ctx.reply('Array action matched!')
-  }
+  await ctx.replyEphemeral('Array action matched!')
 })
 
 bot.on('message', async (ctx) => {
-  console.log(`Received message: ${ctx.text}`)
   await ctx.reply(`You said: ${ctx.text}`)
 })
 
 bot.launch()
+
+process.once('SIGINT', () => bot.stop())
+process.once('SIGTERM', () => bot.stop())
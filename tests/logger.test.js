@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, test } from 'node:test'
+import DiscordBot, {
+  FileSessionStore,
+  Logger,
+  MemorySessionStore,
+  logger,
+} from '../index.js'
+import { TestClient } from '../testing.js'
+
+const TOKEN =
+  'MTAxMjM0NTY3ODkwMTIzNDU2Nzg5MA.GabcDE.abcdefghijklmnopqrstuvwxyz0123456'
+
+/**
+ * Create a logger collecting its entries.
+ * @param {object} [options={}] - Logger options.
+ * @returns {{log: Logger, lines: Array<{line: string, level: string}>}}
+ */
+function collect(options = {}) {
+  const lines = []
+  const log = new Logger({
+    colors: false,
+    output: (line, level) => lines.push({ line, level }),
+    ...options,
+  })
+  return { log, lines }
+}
+
+describe('Logger', () => {
+  test('drops entries below the level', () => {
+    const { log, lines } = collect({ level: 'warn' })
+    log.info('hidden')
+    log.warn('shown')
+    log.error('shown too')
+    assert.deepEqual(
+      lines.map((entry) => entry.level),
+      ['warn', 'error']
+    )
+  })
+
+  test('redacts sensitive fields and tokens', () => {
+    const { log, lines } = collect({ format: 'json' })
+    log.info(`login with ${TOKEN}`, {
+      text: 'private message',
+      nested: { password: 'hunter2', id: 5 },
+      note: `token is ${TOKEN}`,
+      error: new Error(`bad token ${TOKEN}`),
+    })
+    const entry = JSON.parse(lines[0].line)
+    assert.equal(entry.msg, 'login with [redacted]')
+    assert.equal(entry.text, '[redacted]')
+    assert.deepEqual(entry.nested, { password: '[redacted]', id: 5 })
+    assert.equal(entry.note, 'token is [redacted]')
+    assert.equal(entry.error.message, 'bad token [redacted]')
+    assert.ok(!entry.error.stack.includes(TOKEN))
+  })
+
+  test('redact option replaces the default field list', () => {
+    const { log, lines } = collect({ format: 'json', redact: ['token'] })
+    log.info('message', { text: 'visible', token: 'abc' })
+    const entry = JSON.parse(lines[0].line)
+    assert.equal(entry.text, 'visible')
+    assert.equal(entry.token, '[redacted]')
+  })
+
+  test('formats pretty lines with error stacks', () => {
+    const { log, lines } = collect()
+    log.error('Failed', {
+      user: '1',
+      reason: 'two words',
+      error: new Error('x'),
+    })
+    const [first, second] = lines[0].line.split('\n')
+    assert.match(first, /ERROR Failed user=1 reason="two words" error="x"$/)
+    assert.equal(second, 'Error: x')
+  })
+
+  test('child loggers add fields', () => {
+    const { log, lines } = collect({ format: 'json' })
+    log.child({ module: 'music' }).info('playing')
+    assert.equal(JSON.parse(lines[0].line).module, 'music')
+  })
+})
+
+describe('logger middleware', () => {
+  test('logs one entry per update with its handler and duration', async () => {
+    const { log, lines } = collect({ format: 'json' })
+    const bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: log,
+    })
+    bot.use(logger())
+    bot.command('ping', (ctx) => ctx.reply('pong'))
+    const client = await TestClient.launch(bot, {
+      userId: 'u1',
+      guildId: 'g1',
+      channelId: 'c1',
+    })
+    lines.length = 0
+    await client.sendMessage('/ping')
+    await client.sendMessage('nothing')
+    const [handled, unhandled] = lines.map((entry) => JSON.parse(entry.line))
+    assert.equal(handled.msg, 'Update handled')
+    assert.equal(handled.type, 'message')
+    assert.equal(handled.user, 'u1')
+    assert.equal(handled.guild, 'g1')
+    assert.equal(handled.channel, 'c1')
+    assert.equal(handled.handler, 'ping')
+    assert.equal(handled.text, '[redacted]')
+    assert.equal(typeof handled.durationMs, 'number')
+    assert.equal(unhandled.msg, 'Update not handled')
+    await bot.stop()
+  })
+
+  test('logs a failed update once, with its stack', async () => {
+    const { log, lines } = collect({ format: 'json' })
+    const bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: log,
+    })
+    bot.use(logger())
+    bot.command('boom', () => {
+      throw new Error('kaboom')
+    })
+    const client = await TestClient.launch(bot)
+    lines.length = 0
+    await client.sendMessage('/boom')
+    assert.equal(lines.length, 1)
+    const entry = JSON.parse(lines[0].line)
+    assert.equal(entry.level, 'error')
+    assert.equal(entry.msg, 'Update failed')
+    assert.equal(entry.handler, 'boom')
+    assert.match(entry.error.stack, /kaboom/)
+    await bot.stop()
+  })
+})
+
+describe('framework logging', () => {
+  test('unhandled update errors go through bot.logger', async () => {
+    const { log, lines } = collect()
+    const bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: log,
+    })
+    bot.command('boom', () => {
+      throw new Error('kaboom')
+    })
+    const client = await TestClient.launch(bot)
+    assert.match(lines[0].line, /DiscordBot is running/)
+    await client.sendMessage('/boom')
+    assert.equal(lines.at(-1).level, 'error')
+    assert.match(lines.at(-1).line, /message handler error .*handler=boom/)
+    await bot.stop()
+  })
+
+  test('session store errors go through the logger', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsdiscordbot-'))
+    const file = path.join(dir, 'sessions.json')
+    fs.writeFileSync(file, '{ not json')
+    const { log, lines } = collect({ format: 'json' })
+    const bot = new DiscordBot({
+      token: 'test',
+      sessionStore: { type: 'file', filePath: file },
+      logger: log,
+    })
+    assert.ok(bot.sessionStore instanceof FileSessionStore)
+    assert.deepEqual(await bot.sessionStore.get('u1'), {})
+    const entry = JSON.parse(lines[0].line)
+    assert.equal(entry.msg, 'Session file is corrupt, moved it aside')
+    assert.equal(entry.file, file)
+    await bot.stop()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+})
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import DiscordBot, { MemorySessionStore, Metrics } from '../index.js'
+import { TestClient } from '../testing.js'
+
+describe('Metrics', () => {
+  let bot
+  let client
+
+  beforeEach(async () => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+      metrics: { port: 0, host: '127.0.0.1' },
+    })
+    bot.catch(() => {})
+    bot.command('ping', (ctx) => {
+      ctx.session.pings = (ctx.session.pings || 0) + 1
+      return ctx.reply('pong')
+    })
+    bot.command('boom', () => {
+      throw new Error('kaboom')
+    })
+    bot.hears('say "hi"', (ctx) => ctx.reply('hi'))
+    client = await TestClient.launch(bot)
+  })
+
+  afterEach(() => bot.stop())
+
+  /**
+   * Fetch a path from the bot's metrics server.
+   * @param {string} path - Request path.
+   * @returns {Promise<Response>}
+   */
+  function get(path) {
+    const { port } = bot.metrics.server.address()
+    return fetch(`http://127.0.0.1:${port}${path}`)
+  }
+
+  test('counts updates, errors and handler latency', async () => {
+    await client.sendMessage('/ping')
+    await client.sendMessage('/ping')
+    await client.sendMessage('/boom')
+    await client.sendMessage('unmatched')
+    await client.memberJoin()
+    const text = bot.metrics.render()
+    assert.match(text, /^# TYPE discordbot_updates_total counter$/m)
+    assert.match(text, /^discordbot_updates_total\{type="message"\} 4$/m)
+    assert.match(text, /^discordbot_updates_total\{type="new_member"\} 1$/m)
+    assert.match(
+      text,
+      /^discordbot_handler_duration_seconds_count\{type="message",handler="ping"\} 2$/m
+    )
+    assert.match(
+      text,
+      /^discordbot_handler_duration_seconds_bucket\{type="message",handler="ping",le="\+Inf"\} 2$/m
+    )
+    assert.match(
+      text,
+      /^discordbot_handler_duration_seconds_count\{type="message",handler="none"\} 1$/m
+    )
+    assert.match(
+      text,
+      /^discordbot_handler_errors_total\{type="message",handler="boom"\} 1$/m
+    )
+    assert.match(
+      text,
+      /^discordbot_session_store_duration_seconds_count\{operation="set"\} 2$/m
+    )
+    assert.match(text, /^discordbot_gateway_up 1$/m)
+  })
+
+  test('escapes label values', async () => {
+    await client.sendMessage('say "hi"')
+    assert.match(bot.metrics.render(), /handler="say \\"hi\\""/)
+  })
+
+  test('counts gateway events', () => {
+    client.emit('shardDisconnect')
+    client.emit('shardReconnecting')
+    const text = bot.metrics.render()
+    assert.match(
+      text,
+      /^discordbot_gateway_events_total\{event="disconnect"\} 1$/m
+    )
+    assert.match(
+      text,
+      /^discordbot_gateway_events_total\{event="reconnect"\} 1$/m
+    )
+  })
+
+  test('serves /metrics and /health', async () => {
+    await client.sendMessage('/ping')
+    const metrics = await get('/metrics')
+    assert.equal(metrics.status, 200)
+    assert.match(metrics.headers.get('content-type'), /^text\/plain/)
+    assert.match(await metrics.text(), /discordbot_updates_total/)
+
+    const health = await get('/health')
+    assert.equal(health.status, 200)
+    const report = await health.json()
+    assert.equal(report.status, 'ok')
+    assert.deepEqual(report.gateway, { ready: true, status: 'Ready', ping: 0 })
+    assert.deepEqual(report.updates, { message: 1 })
+    assert.equal(report.errors, 0)
+
+    assert.equal((await get('/other')).status, 404)
+  })
+
+  test('reports 503 when the gateway is down', async () => {
+    await client.destroy()
+    const health = await get('/health')
+    assert.equal(health.status, 503)
+    assert.equal((await health.json()).status, 'unavailable')
+  })
+})
+
+test('Metrics without a bot reports the gateway as down', () => {
+  const metrics = new Metrics({ prefix: 'mybot_' })
+  assert.equal(metrics.health().status, 'unavailable')
+  assert.match(metrics.render(), /^mybot_gateway_up 0$/m)
+})
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict'
+import { afterEach, describe, test } from 'node:test'
+import DiscordBot, { MemorySessionStore, rateLimit } from '../index.js'
+import { TestClient } from '../testing.js'
+
+describe('rateLimit types', () => {
+  let bot
+  let client
+
+  const launch = async (types) => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+    bot.use(rateLimit({ limit: 1, window: 60 * 1000, types, message: 'slow' }))
+    bot.command('photo', { slash: true }, (ctx) => ctx.reply('photo'))
+    bot.hears('hi', (ctx) => ctx.reply('hello'))
+    client = await TestClient.launch(bot)
+  }
+
+  afterEach(() => bot?.stop())
+
+  test("'command' limits slash commands", async () => {
+    await launch(['command'])
+    await client.slashCommand('photo')
+    await client.slashCommand('photo')
+    assert.equal(client.lastReply, 'slow')
+  })
+
+  test("'command' limits prefixed text commands", async () => {
+    await launch(['command'])
+    await client.sendMessage('/photo')
+    await client.sendMessage('!photo')
+    assert.equal(client.lastReply, 'slow')
+  })
+
+  test("'command' leaves plain messages alone", async () => {
+    await launch(['command'])
+    await client.sendMessage('hi')
+    await client.sendMessage('hi')
+    assert.equal(client.lastReply, 'hello')
+  })
+
+  test("'message' limits prefixed commands too", async () => {
+    await launch(['message'])
+    await client.sendMessage('hi')
+    await client.sendMessage('/photo')
+    assert.equal(client.lastReply, 'slow')
+  })
+})
@@ -0,0 +1,432 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import DiscordBot, {
+  FormScene,
+  MemorySessionStore,
+  Scene,
+  SceneManager,
+} from '../index.js'
+import { TestClient } from '../testing.js'
+
+describe('Scene component input', () => {
+  let bot
+  let client
+  let scenes
+
+  beforeEach(async () => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+    scenes = new SceneManager()
+    bot.use(scenes.middleware())
+    bot.action('help_btn', (ctx) => ctx.reply('help'))
+    bot.modal('OTHER', (ctx) => ctx.reply('other modal'))
+    client = await TestClient.launch(bot, { userId: 'u1' })
+  })
+
+  afterEach(() => bot.stop())
+
+  const frame = async () => (await bot.sessionStore.get('u1')).__scene
+
+  test('passes buttons to the bot while a text step waits', async () => {
+    const reg = new Scene('reg', [
+      (ctx) => ctx.reply('Name?'),
+      async (ctx) => {
+        ctx.scene.state.name = ctx.text
+        await ctx.reply(`Hi ${ctx.text}`)
+      },
+    ])
+    scenes.register(reg)
+    bot.command('reg', (ctx) => ctx.scene.enter('reg'))
+
+    await client.sendMessage('/reg')
+    await client.clickButton('help_btn')
+    assert.equal(client.lastReply, 'help')
+    const { step, state } = await frame()
+    assert.equal(step, 1)
+    assert.deepEqual(state, {})
+    await client.sendMessage('Ann')
+    assert.equal(client.lastReply, 'Hi Ann')
+  })
+
+  test('gives component updates to steps that opt in', async () => {
+    const color = new Scene('color', [
+      (ctx) => ctx.reply('Pick a color'),
+      {
+        name: 'color',
+        components: (ctx) => ['RED', 'BLUE'].includes(ctx.payload),
+        handler: async (ctx) => {
+          if (!ctx.payload) return false
+          await ctx.reply(`picked ${ctx.payload}`)
+          await ctx.scene.leave()
+        },
+      },
+    ])
+    scenes.register(color)
+    bot.command('color', (ctx) => ctx.scene.enter('color'))
+
+    await client.sendMessage('/color')
+    await client.clickButton('help_btn')
+    assert.equal(client.lastReply, 'help')
+    await client.sendMessage('red')
+    assert.equal((await frame()).step, 1)
+    await client.clickButton('RED')
+    assert.equal(client.lastReply, 'picked RED')
+    assert.equal(await frame(), undefined)
+  })
+
+  test('waitForModal steps take only their own modal', async () => {
+    const profile = new Scene('profile', [
+      (ctx) => ctx.reply('Open the form'),
+      Scene.waitForModal('PROFILE', async (ctx) => {
+        await ctx.reply(`saved ${ctx.fields.NAME}`)
+        await ctx.scene.leave()
+      }),
+    ])
+    scenes.register(profile)
+    bot.command('profile', (ctx) => ctx.scene.enter('profile'))
+
+    await client.sendMessage('/profile')
+    await client.clickButton('help_btn')
+    assert.equal(client.lastReply, 'help')
+    await client.submitModal('OTHER', { NAME: 'x' })
+    assert.equal(client.lastReply, 'other modal')
+    await client.submitModal('PROFILE', { NAME: 'Bob' })
+    assert.equal(client.lastReply, 'saved Bob')
+  })
+
+  test('form choice fields take matching buttons only', async () => {
+    scenes.register(
+      new FormScene(
+        'size',
+        [
+          {
+            name: 'size',
+            type: 'choice',
+            choices: ['S', 'L'],
+            prompt: 'Size?',
+          },
+        ],
+        { onComplete: (ctx, values) => ctx.reply(`size ${values.size}`) }
+      )
+    )
+    bot.command('size', (ctx) => ctx.scene.enter('size'))
+
+    await client.sendMessage('/size')
+    await client.clickButton('help_btn')
+    assert.equal(client.lastReply, 'help')
+    await client.clickButton('L')
+    assert.equal(client.lastReply, 'size L')
+  })
+})
+
+describe('FormScene attachments', () => {
+  test('advances past an attachment field that is not the last', async () => {
+    const bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+    const scenes = new SceneManager()
+    scenes.register(
+      new FormScene(
+        'upload',
+        [
+          { name: 'file', type: 'attachment', prompt: 'Upload a file' },
+          { name: 'name', prompt: 'Your name?' },
+        ],
+        {
+          onComplete: (ctx, values) =>
+            ctx.reply(`${values.name} sent ${values.file.name}`),
+        }
+      )
+    )
+    bot.use(scenes.middleware())
+    bot.command('upload', (ctx) => ctx.scene.enter('upload'))
+    const client = await TestClient.launch(bot)
+
+    await client.sendMessage('/upload')
+    await client.sendMessage('', {
+      attachments: [{ url: 'https://cdn/a.png', name: 'a.png' }],
+    })
+    assert.equal(client.lastReply, 'Your name?')
+    await client.sendMessage('Bob')
+    assert.equal(client.lastReply, 'Bob sent a.png')
+    await bot.stop()
+  })
+})
+
+describe('Scene timeouts', () => {
+  test('expires scenes saved without an activity time', async () => {
+    const store = new MemorySessionStore()
+    await store.set('u1', { __scene: 'reg', step: 1, lang: 'en' })
+    const bot = new DiscordBot({
+      token: 'test',
+      sessionStore: store,
+      logger: false,
+    })
+    const scenes = new SceneManager({
+      ttl: 60 * 1000,
+      timeoutMessage: 'Timed out.',
+    })
+    scenes.register(
+      new Scene('reg', [
+        (ctx) => ctx.reply('Name?'),
+        (ctx) => ctx.reply('step 2'),
+      ])
+    )
+    bot.use(scenes.middleware())
+    bot.hears('hello', (ctx) => ctx.reply('hi'))
+    const client = await TestClient.launch(bot, { userId: 'u1' })
+
+    await client.sendMessage('hello')
+    assert.deepEqual(client.replies, ['Timed out.', 'hi'])
+    assert.deepEqual(await store.get('u1'), { lang: 'en' })
+    await bot.stop()
+  })
+
+  test('leaves expired scenes silently on other updates', async () => {
+    const store = new MemorySessionStore()
+    const stale = { name: 'reg', step: 1, state: {}, updatedAt: 1 }
+    await store.set('u1', { __scene: stale })
+    const bot = new DiscordBot({
+      token: 'test',
+      sessionStore: store,
+      logger: false,
+    })
+    const scenes = new SceneManager({ ttl: 1000, timeoutMessage: 'Timed out.' })
+    scenes.register(new Scene('reg', [(ctx) => ctx.reply('Name?')]))
+    bot.use(scenes.middleware())
+    bot.action('help_btn', () => {})
+    const client = await TestClient.launch(bot, { userId: 'u1' })
+
+    await client.memberJoin({ userId: 'u1' })
+    await client.addReaction('👍')
+    await store.set('u1', { __scene: stale })
+    await client.clickButton('help_btn')
+    assert.deepEqual(client.replies, [])
+    assert.deepEqual(await store.get('u1'), {})
+    await bot.stop()
+  })
+})
+
+describe('Wizard scenes', () => {
+  let bot
+  let client
+  let scenes
+
+  beforeEach(async () => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+    scenes = new SceneManager()
+    bot.use(scenes.middleware())
+    client = await TestClient.launch(bot, { userId: 'u1' })
+  })
+
+  afterEach(() => bot.stop())
+
+  const frame = async () => (await bot.sessionStore.get('u1')).__scene
+
+  test('moves between named steps with next, back and selectStep', async () => {
+    const onboarding = new Scene('onboarding', [
+      (ctx) => ctx.reply('Name?'),
+      {
+        name: 'name',
+        handler: async (ctx) => {
+          if (ctx.text === 'guest') {
+            ctx.wizard.selectStep('confirm')
+            return ctx.reply('Continue as guest?')
+          }
+          await ctx.reply('Email?')
+        },
+      },
+      {
+        name: 'email',
+        handler: (ctx) => ctx.reply('Confirm?'),
+      },
+      {
+        name: 'confirm',
+        handler: async (ctx) => {
+          await ctx.reply(`confirm at ${ctx.wizard.stepName}`)
+          await onboarding.leave(ctx)
+        },
+      },
+    ])
+    onboarding.action('BACK', async (ctx) => {
+      ctx.wizard.back()
+      await ctx.reply(`back to ${ctx.wizard.stepName}`)
+    })
+    onboarding.action('SKIP', async (ctx) => {
+      ctx.wizard.next()
+      await ctx.reply(`skipped to ${ctx.wizard.stepName}`)
+    })
+    scenes.register(onboarding)
+    bot.command('onboard', (ctx) => ctx.scene.enter('onboarding'))
+
+    await client.sendMessage('/onboard')
+    await client.sendMessage('Ann')
+    assert.equal((await frame()).step, 2)
+    await client.clickButton('BACK')
+    assert.equal(client.lastReply, 'back to name')
+    await client.sendMessage('guest')
+    assert.equal(client.lastReply, 'Continue as guest?')
+    assert.equal((await frame()).step, 3)
+    await client.sendMessage('yes')
+    assert.equal(client.lastReply, 'confirm at confirm')
+
+    await client.sendMessage('/onboard')
+    await client.sendMessage('Ann')
+    await client.clickButton('SKIP')
+    assert.equal(client.lastReply, 'skipped to confirm')
+    assert.equal((await frame()).step, 3)
+  })
+
+  test('rejects unknown steps', async () => {
+    let error
+    scenes.register(
+      new Scene('s', [
+        (ctx) => {
+          try {
+            ctx.wizard.selectStep('missing')
+          } catch (err) {
+            error = err
+          }
+        },
+      ])
+    )
+    bot.command('s', (ctx) => ctx.scene.enter('s'))
+
+    await client.sendMessage('/s')
+    assert.match(error.message, /Unknown step "missing" in scene "s"/)
+  })
+
+  test('runs enter and leave hooks around the steps', async () => {
+    const events = []
+    const survey = new Scene('survey', [
+      () => events.push('step 0'),
+      async (ctx) => {
+        events.push('step 1')
+        await survey.leave(ctx)
+      },
+    ])
+    survey.onEnter(() => events.push('enter'))
+    survey.onLeave(() => events.push('leave'))
+    scenes.register(survey)
+    bot.command('survey', (ctx) => ctx.scene.enter('survey'))
+
+    await client.sendMessage('/survey')
+    assert.deepEqual(events, ['enter', 'step 0'])
+    await client.sendMessage('done')
+    assert.deepEqual(events, ['enter', 'step 0', 'step 1', 'leave'])
+    assert.equal(await frame(), undefined)
+  })
+})
+
+describe('Scene state', () => {
+  test('clears scene state on leave and keeps the rest of the session', async () => {
+    const bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+    const scenes = new SceneManager()
+    const order = new Scene('order', [
+      (ctx) => ctx.reply(`Item for ${ctx.scene.state.table}?`),
+      async (ctx) => {
+        ctx.scene.state.item = ctx.text
+        await ctx.reply('Quantity?')
+      },
+      async (ctx) => {
+        await ctx.reply(`${ctx.text} x ${ctx.scene.state.item}`)
+        await order.leave(ctx)
+      },
+    ])
+    scenes.register(order)
+    bot.use(scenes.middleware())
+    bot.command('order', (ctx) => {
+      ctx.session.lang = 'en'
+      return ctx.scene.enter('order', { table: 4 })
+    })
+    const client = await TestClient.launch(bot, { userId: 'u1' })
+
+    await client.sendMessage('/order')
+    assert.equal(client.lastReply, 'Item for 4?')
+    await client.sendMessage('tea')
+    const session = await bot.sessionStore.get('u1')
+    assert.deepEqual(session.__scene.state, { table: 4, item: 'tea' })
+    assert.equal(session.item, undefined)
+    await client.sendMessage('2')
+    assert.equal(client.lastReply, '2 x tea')
+    assert.deepEqual(await bot.sessionStore.get('u1'), { lang: 'en' })
+    await bot.stop()
+  })
+})
+
+describe('Scene stack', () => {
+  let bot
+  let client
+  let scenes
+
+  beforeEach(async () => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+    scenes = new SceneManager()
+    scenes.register(
+      new Scene('checkout', [
+        (ctx) => ctx.reply('Checkout: address?'),
+        (ctx) => ctx.scene.push('address', { from: 'checkout' }),
+        (ctx) =>
+          ctx.reply(`Ship to ${ctx.scene.result} (${ctx.scene.state.cart})`),
+      ])
+    )
+    const address = new Scene('address', [
+      (ctx) => ctx.reply(`Street? (${ctx.scene.stack.length} waiting)`),
+      (ctx) => ctx.scene.leave(`${ctx.text}, ${ctx.scene.state.from}`),
+    ])
+    address.command('quit', (ctx) => ctx.scene.leaveAll())
+    scenes.register(address)
+    bot.use(scenes.middleware())
+    bot.command('checkout', (ctx) =>
+      ctx.scene.enter('checkout', { cart: 'tea' })
+    )
+    client = await TestClient.launch(bot, { userId: 'u1' })
+  })
+
+  afterEach(() => bot.stop())
+
+  const session = () => bot.sessionStore.get('u1')
+
+  test('push() suspends the parent until the sub-scene leaves with a result', async () => {
+    await client.sendMessage('/checkout')
+    await client.sendMessage('go')
+    assert.equal(client.lastReply, 'Street? (1 waiting)')
+    const { __scene, __sceneStack } = await session()
+    assert.equal(__scene.name, 'address')
+    assert.deepEqual(__scene.state, { from: 'checkout' })
+    assert.deepEqual(
+      __sceneStack.map((frame) => [frame.name, frame.step, frame.state]),
+      [['checkout', 2, { cart: 'tea' }]]
+    )
+
+    await client.sendMessage('Main St')
+    assert.equal(client.lastReply, 'Ship to Main St, checkout (tea)')
+    const { __scene: parent, __sceneStack: stack } = await session()
+    assert.equal(parent.name, 'checkout')
+    assert.equal(stack, undefined)
+  })
+
+  test('leaveAll() leaves the sub-scene and every parent', async () => {
+    await client.sendMessage('/checkout')
+    await client.sendMessage('go')
+    await client.sendMessage('/quit')
+    assert.deepEqual(await session(), {})
+  })
+})
@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import DiscordBot, { MemorySessionStore, SendQueue } from '../index.js'
+import { isRetryable, retryAfter } from '../sendQueue.js'
+import { TestClient } from '../testing.js'
+
+const error = (props) => Object.assign(new Error('send failed'), props)
+
+describe('isRetryable', () => {
+  test('retries only requests that never reached Discord', () => {
+    assert.equal(isRetryable(error({ name: 'RateLimitError' })), true)
+    assert.equal(isRetryable(error({ status: 429 })), true)
+    assert.equal(isRetryable(error({ code: 'ECONNREFUSED' })), true)
+    assert.equal(isRetryable(error({ cause: { code: 'EAI_AGAIN' } })), true)
+    assert.equal(isRetryable(error({ name: 'AbortError' })), false)
+    assert.equal(isRetryable(error({ status: 500 })), false)
+    assert.equal(isRetryable(error({ status: 503 })), false)
+    assert.equal(isRetryable(error({ code: 'ECONNRESET' })), false)
+    assert.equal(isRetryable(error({ status: 403 })), false)
+    assert.equal(isRetryable(null), false)
+  })
+
+  test('reads the delay Discord asks for', () => {
+    assert.equal(retryAfter(error({ retryAfter: 250 })), 250)
+    assert.equal(retryAfter(error({ rawError: { retry_after: 1.5 } })), 1500)
+    assert.equal(retryAfter(error({})), null)
+  })
+})
+
+describe('SendQueue', () => {
+  test('retries rate limited sends', async () => {
+    const warnings = []
+    const queue = new SendQueue({
+      retryDelay: 1,
+      logger: { warn: (msg, fields) => warnings.push(fields) },
+    })
+    let attempts = 0
+    const result = await queue.push('c1', async () => {
+      if (++attempts < 3) throw error({ status: 429, retryAfter: 1 })
+      return 'sent'
+    })
+    assert.equal(result, 'sent')
+    assert.equal(attempts, 3)
+    assert.deepEqual(
+      warnings.map((w) => w.attempt),
+      [1, 2]
+    )
+  })
+
+  test('does not retry server errors or timeouts', async () => {
+    const queue = new SendQueue({ retryDelay: 1 })
+    for (const props of [{ status: 502 }, { name: 'AbortError' }]) {
+      let attempts = 0
+      await assert.rejects(
+        queue.push('c1', async () => {
+          attempts++
+          throw error(props)
+        }),
+        /send failed/
+      )
+      assert.equal(attempts, 1)
+    }
+  })
+
+  test('gives up after the configured retries', async () => {
+    const queue = new SendQueue({ retries: 2, retryDelay: 1 })
+    let attempts = 0
+    await assert.rejects(
+      queue.push('c1', async () => {
+        attempts++
+        throw error({ code: 'ECONNREFUSED' })
+      })
+    )
+    assert.equal(attempts, 3)
+  })
+
+  test('keeps channel order and caps global concurrency', async () => {
+    const queue = new SendQueue({ globalConcurrency: 2 })
+    const order = []
+    let running = 0
+    let peak = 0
+    const task = (name) => async () => {
+      running++
+      peak = Math.max(peak, running)
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      order.push(name)
+      running--
+    }
+    queue.push('c1', task('c1-a'))
+    queue.push('c1', task('c1-b'))
+    queue.push('c2', task('c2-a'))
+    queue.push('c3', task('c3-a'))
+    assert.equal(queue.size, 4)
+    await queue.onIdle()
+    assert.equal(queue.size, 0)
+    assert.equal(peak, 2)
+    assert.ok(order.indexOf('c1-a') < order.indexOf('c1-b'))
+    assert.equal(order.length, 4)
+  })
+})
+
+describe('bot.broadcast', () => {
+  let bot
+  let client
+
+  beforeEach(async () => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      sendQueue: { retryDelay: 1, globalConcurrency: 2 },
+      logger: false,
+    })
+    client = await TestClient.launch(bot)
+  })
+
+  afterEach(() => bot.stop())
+
+  test('reports sent and failed channels with progress', async () => {
+    const channel = client._channel.bind(client)
+    client._channel = (channelId) => {
+      if (channelId === 'gone') return null
+      const fake = channel(channelId)
+      if (channelId === 'denied') {
+        fake.send = async () => {
+          throw error({ status: 403 })
+        }
+      }
+      return fake
+    }
+    const progress = []
+    const report = await bot.broadcast(
+      ['c1', 'gone', 'denied', 'c2'],
+      (channelId) => `hello ${channelId}`,
+      { onProgress: (p) => progress.push(p) }
+    )
+    assert.equal(report.total, 4)
+    assert.deepEqual(report.sent.map((s) => s.channelId).sort(), ['c1', 'c2'])
+    assert.deepEqual(
+      Object.fromEntries(report.failed.map((f) => [f.channelId, f.error.code])),
+      { gone: 'UNKNOWN_CHANNEL', denied: undefined }
+    )
+    assert.deepEqual(
+      client.calls
+        .filter((c) => c.method === 'send')
+        .map((c) => c.payload.content)
+        .sort(),
+      ['hello c1', 'hello c2']
+    )
+    assert.deepEqual(
+      progress.map((p) => p.done),
+      [1, 2, 3, 4]
+    )
+    assert.equal(progress.at(-1).sent, 2)
+    assert.equal(progress.at(-1).failed, 2)
+  })
+
+  test('fetches channels through the queue', async () => {
+    let fetching = 0
+    let peak = 0
+    const channel = client._channel.bind(client)
+    client._channel = async (channelId) => {
+      fetching++
+      peak = Math.max(peak, fetching)
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      fetching--
+      return channel(channelId)
+    }
+    const ids = ['a', 'b', 'c', 'd', 'e']
+    const report = await bot.broadcast(ids, 'hi')
+    assert.equal(report.sent.length, 5)
+    assert.equal(peak, 2)
+  })
+})
@@ -0,0 +1,239 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterEach, beforeEach, describe, mock, test } from 'node:test'
+import {
+  FileSessionStore,
+  MemorySessionStore,
+  SqliteSessionStore,
+} from '../index.js'
+
+// node:sqlite needs Node 22.13+, or the --experimental-sqlite flag on 22.5 to 22.12
+const hasSqlite = await import('node:sqlite').then(
+  () => true,
+  () => false
+)
+
+test('SqliteSessionStore stores sessions', { skip: !hasSqlite }, async () => {
+  const store = new SqliteSessionStore(':memory:')
+  await store.set('u1', { lang: 'en' })
+  assert.deepEqual(await store.get('u1'), { lang: 'en' })
+  await store.close()
+})
+
+test(
+  'SqliteSessionStore names the Node.js version it needs without node:sqlite',
+  { skip: hasSqlite },
+  async () => {
+    const store = new SqliteSessionStore(':memory:')
+    await assert.rejects(store.get('u1'), (err) => {
+      assert.match(
+        err.message,
+        /use Node\.js 22\.13 or newer \(or 22\.5 to 22\.12 with the --experimental-sqlite flag\)/
+      )
+      assert.equal(err.cause.code, 'ERR_UNKNOWN_BUILTIN_MODULE')
+      return true
+    })
+    await store.close()
+  }
+)
+
+describe('FileSessionStore', () => {
+  let dir
+  let file
+  let errors
+  const logger = { error: (msg, fields) => errors.push({ msg, ...fields }) }
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+  const read = () => JSON.parse(fs.readFileSync(file, 'utf8'))
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'))
+    file = path.join(dir, 'sessions.json')
+    errors = []
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test('debounces changes into one write', async () => {
+    const rename = mock.method(fs.promises, 'rename')
+    const store = new FileSessionStore(file, { debounce: 20, logger })
+    await store.set('u1', { n: 1 })
+    await store.set('u1', { n: 2 })
+    await store.set('u2', { n: 3 })
+    assert.equal(fs.existsSync(file), false)
+    await wait(60)
+    assert.equal(rename.mock.callCount(), 1)
+    assert.deepEqual(read(), { u1: { n: 2 }, u2: { n: 3 } })
+    await store.close()
+  })
+
+  test('writes to a temporary file and renames it over the session file', async () => {
+    const rename = mock.method(fs.promises, 'rename')
+    const store = new FileSessionStore(file, { logger })
+    await store.set('u1', { lang: 'en' })
+    await store.flush()
+    const [from, to] = rename.mock.calls[0].arguments
+    assert.equal(from, `${file}.${process.pid}.tmp`)
+    assert.equal(to, file)
+    assert.deepEqual(fs.readdirSync(dir), ['sessions.json'])
+    await store.close()
+  })
+
+  test('queues writes so flushes never interleave', async () => {
+    const writeFile = fs.promises.writeFile
+    let active = 0
+    let peak = 0
+    mock.method(fs.promises, 'writeFile', async (...args) => {
+      active++
+      peak = Math.max(peak, active)
+      await wait(10)
+      await writeFile(...args)
+      active--
+    })
+    const store = new FileSessionStore(file, { logger })
+    await store.set('u1', { n: 1 })
+    const first = store.flush()
+    await store.set('u1', { n: 2 })
+    await Promise.all([first, store.flush()])
+    assert.equal(peak, 1)
+    assert.deepEqual(read(), { u1: { n: 2 } })
+    await store.close()
+  })
+
+  test('backs up a corrupt file and starts empty', async () => {
+    fs.writeFileSync(file, '{ not json')
+    const store = new FileSessionStore(file, { logger })
+    assert.deepEqual(await store.get('u1'), {})
+    const backup = fs.readdirSync(dir).find((f) => f.includes('.corrupt-'))
+    assert.equal(fs.readFileSync(path.join(dir, backup), 'utf8'), '{ not json')
+    assert.equal(errors[0].msg, 'Session file is corrupt, moved it aside')
+    await store.close()
+  })
+
+  test('close() flushes pending changes and reloads them', async () => {
+    const store = new FileSessionStore(file, { debounce: 60 * 1000, logger })
+    await store.set('u1', { lang: 'en' })
+    await store.close()
+    assert.deepEqual(read(), { u1: { lang: 'en' } })
+    const reopened = new FileSessionStore(file, { logger })
+    assert.deepEqual(await reopened.get('u1'), { lang: 'en' })
+    await reopened.close()
+  })
+
+  test('does not retry a failed write until the next change', async () => {
+    const missing = path.join(dir, 'missing', 'sessions.json')
+    const store = new FileSessionStore(missing, { debounce: 5, logger })
+    await store.set('u1', { n: 1 })
+    await wait(80)
+    assert.equal(errors.length, 1)
+    assert.equal(errors[0].msg, 'Failed to write session file')
+
+    fs.mkdirSync(path.dirname(missing))
+    await store.set('u2', { n: 2 })
+    await wait(40)
+    assert.equal(errors.length, 1)
+    assert.deepEqual(JSON.parse(fs.readFileSync(missing, 'utf8')), {
+      u1: { n: 1 },
+      u2: { n: 2 },
+    })
+    await store.close()
+  })
+
+  test('flushSync() logs write errors instead of throwing', async () => {
+    const missing = path.join(dir, 'missing', 'sessions.json')
+    const store = new FileSessionStore(missing, { debounce: 60 * 1000, logger })
+    await store.set('u1', { n: 1 })
+    assert.doesNotThrow(() => store.flushSync())
+    assert.equal(errors.length, 1)
+    assert.equal(errors[0].error.code, 'ENOENT')
+    await store.close()
+  })
+})
+
+const stores = [
+  ['MemorySessionStore', () => [(options) => new MemorySessionStore(options)]],
+  [
+    'FileSessionStore',
+    () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'))
+      const file = path.join(dir, 'sessions.json')
+      return [
+        (options) => new FileSessionStore(file, options),
+        () => fs.rmSync(dir, { recursive: true, force: true }),
+      ]
+    },
+  ],
+  [
+    'SqliteSessionStore',
+    () => [(options) => new SqliteSessionStore(':memory:', options)],
+    !hasSqlite,
+  ],
+]
+
+for (const [name, setup, skip] of stores) {
+  describe(`${name} listing and expiry`, { skip }, () => {
+    let create
+    let cleanup
+    let store
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+    beforeEach(() => {
+      ;[create, cleanup] = setup()
+    })
+
+    afterEach(async () => {
+      await store.close()
+      cleanup?.()
+    })
+
+    test('lists, counts and clears sessions', async () => {
+      store = create()
+      await store.set('u1', { lang: 'en' })
+      await store.set('u2', { lang: 'de' })
+      assert.deepEqual((await store.keys()).sort(), ['u1', 'u2'])
+      assert.deepEqual(
+        (await store.entries()).sort(([a], [b]) => a.localeCompare(b)),
+        [
+          ['u1', { lang: 'en' }],
+          ['u2', { lang: 'de' }],
+        ]
+      )
+      assert.equal(await store.size(), 2)
+      await store.clearAll()
+      assert.deepEqual(await store.keys(), [])
+      assert.equal(await store.size(), 0)
+      assert.deepEqual(await store.get('u1'), {})
+    })
+
+    test('deletes empty sessions unless persistEmpty is set', async () => {
+      store = create()
+      await store.set('u1', { lang: 'en' })
+      await store.set('u1', {})
+      assert.deepEqual(await store.keys(), [])
+      await store.close()
+      store = create({ persistEmpty: true })
+      await store.set('u2', {})
+      assert.deepEqual(await store.keys(), ['u2'])
+      assert.deepEqual(await store.get('u2'), {})
+    })
+
+    test('hides expired sessions and sweeps them', async () => {
+      store = create({ ttl: 20, sweepInterval: 0 })
+      await store.set('u1', { lang: 'en' })
+      assert.deepEqual(await store.get('u1'), { lang: 'en' })
+      await wait(30)
+      await store.set('u2', { lang: 'de' })
+      assert.deepEqual(await store.keys(), ['u2'])
+      assert.deepEqual(await store.entries(), [['u2', { lang: 'de' }]])
+      assert.equal(await store.size(), 1)
+      assert.equal(await store.sweep(), 1)
+      assert.equal(await store.sweep(), 0)
+      assert.deepEqual(await store.get('u1'), {})
+      assert.deepEqual(await store.get('u2'), { lang: 'de' })
+    })
+  })
+}
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import DiscordBot, {
+  FormScene,
+  MemorySessionStore,
+  SceneManager,
+} from '../index.js'
+import { TestClient } from '../testing.js'
+
+describe('TestClient', () => {
+  let bot
+  let client
+
+  beforeEach(async () => {
+    bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      sessionKey: 'user+guild',
+      logger: false,
+    })
+    bot.command('ping', { slash: true }, (ctx) => ctx.reply('pong'))
+    bot.command(
+      'kick',
+      {
+        permissions: ['KickMembers'],
+        args: [{ name: 'user', type: 'user', required: true }],
+      },
+      async (ctx) => {
+        const kicked = await ctx.kickMember(ctx.args.user, 'bye')
+        await ctx.reply(kicked ? 'kicked' : 'failed')
+      }
+    )
+    bot.action('BTN', (ctx) => ctx.editMessage('edited'))
+    bot.select('SEL', (ctx) => ctx.replyEphemeral(`picked ${ctx.values}`))
+    bot.modal('MOD', (ctx) => ctx.reply(`name ${ctx.fields.NAME}`))
+    bot.on('message_reaction_add', (ctx) => {
+      ctx.session.reactions = (ctx.session.reactions || 0) + 1
+    })
+    bot.on('new_member', (ctx) => ctx.reply(`welcome ${ctx.from.id}`))
+    client = await TestClient.launch(bot, {
+      userId: 'u1',
+      guildId: 'g1',
+      channelId: 'c1',
+    })
+  })
+
+  afterEach(() => bot.stop())
+
+  test('registers slash commands on ready', () => {
+    assert.deepEqual(
+      client.slashCommands.global.map((cmd) => cmd.name),
+      ['ping']
+    )
+  })
+
+  test('answers text and slash commands', async () => {
+    await client.sendMessage('/ping')
+    assert.equal(client.lastReply, 'pong')
+    await client.slashCommand('ping')
+    assert.deepEqual(client.calls.at(-1), {
+      method: 'reply',
+      channelId: 'c1',
+      userId: 'u1',
+      payload: { content: 'pong' },
+    })
+  })
+
+  test('denies guarded commands and records kicks', async () => {
+    await client.sendMessage('/kick <@123456789012345678>')
+    assert.match(client.lastReply, /Kick Members permission/)
+    assert.equal(client.calls.filter((c) => c.method === 'kick').length, 0)
+
+    await client.sendMessage('/kick <@123456789012345678>', {
+      permissions: ['KickMembers'],
+      rolePosition: 1,
+    })
+    assert.equal(client.lastReply, 'kicked')
+    assert.deepEqual(
+      client.calls.find((c) => c.method === 'kick'),
+      {
+        method: 'kick',
+        userId: '123456789012345678',
+        guildId: 'g1',
+        reason: 'bye',
+      }
+    )
+  })
+
+  test('injects buttons, select menus and modals', async () => {
+    await client.clickButton('BTN')
+    assert.equal(client.calls.at(-1).method, 'update')
+    assert.equal(client.lastReply, 'edited')
+    await client.selectMenu('SEL', ['a', 'b'])
+    assert.equal(client.lastReply, 'picked a,b')
+    await client.submitModal('MOD', { NAME: 'Bob' })
+    assert.equal(client.lastReply, 'name Bob')
+  })
+
+  test('keeps sessions per user and guild across reactions', async () => {
+    await client.addReaction('👍')
+    await client.addReaction('👍')
+    await client.addReaction('👍', { guildId: 'g2' })
+    assert.equal((await bot.sessionStore.get('u1:g1')).reactions, 2)
+    assert.equal((await bot.sessionStore.get('u1:g2')).reactions, 1)
+  })
+
+  test('injects member joins', async () => {
+    await client.memberJoin({ userId: 'u9' })
+    assert.equal(client.lastReply, 'welcome u9')
+  })
+
+  test('clear() forgets recorded calls', async () => {
+    await client.sendMessage('/ping')
+    client.clear()
+    assert.deepEqual(client.calls, [])
+    assert.equal(client.lastReply, undefined)
+  })
+})
+
+describe('TestClient with scenes', () => {
+  test('drives a form scene to completion', async () => {
+    const bot = new DiscordBot({
+      token: 'test',
+      sessionStore: new MemorySessionStore(),
+      logger: false,
+    })
+    const form = new FormScene(
+      'age',
+      [{ name: 'age', type: 'integer', prompt: 'How old are you?' }],
+      { onComplete: (ctx, values) => ctx.reply(`age ${values.age}`) }
+    )
+    const scenes = new SceneManager()
+    scenes.register(form)
+    bot.use(scenes.middleware())
+    bot.command('age', (ctx) => ctx.scene.enter('age'))
+    const client = await TestClient.launch(bot)
+
+    await client.sendMessage('/age')
+    assert.equal(client.lastReply, 'How old are you?')
+    await client.sendMessage('old')
+    assert.equal(client.lastReply, 'Please enter a whole number.')
+    await client.sendMessage('30')
+    assert.equal(client.lastReply, 'age 30')
+    await bot.stop()
+  })
+})